@@ -0,0 +1,7 @@
+// Kinds of student achievement. `placement` entries usually reference the
+// tournament and finishing place; `rating_milestone` marks a rating reached.
+const ACHIEVEMENT_TYPES = ['title', 'placement', 'rating_milestone', 'other'];
+
+module.exports = {
+  ACHIEVEMENT_TYPES
+};
@@ -0,0 +1,81 @@
+// How players are paired: Swiss rounds one at a time, round-robin (Berger
+// tables, all rounds at once; double plays each cycle twice with colours
+// reversed) or a seeded knockout bracket
+const TOURNAMENT_FORMATS = ['swiss', 'round_robin', 'double_round_robin', 'knockout'];
+
+const FORMAT_LABELS = {
+  swiss: 'Swiss',
+  round_robin: 'Round-robin',
+  double_round_robin: 'Double round-robin',
+  knockout: 'Knockout'
+};
+
+// Game results as stored on a pairing, white's score first. `+-` and `-+`
+// are forfeit wins for white and black, `--` a double forfeit.
+const GAME_RESULTS = ['1-0', '0-1', '1/2-1/2', '+-', '-+', '--'];
+
+// Forfeited games count for points but were not played: they give no colour,
+// do not stop the players meeting again and count as unplayed for tiebreaks
+const FORFEIT_RESULTS = ['+-', '-+', '--'];
+
+const RESULT_POINTS = {
+  '1-0': [1, 0],
+  '0-1': [0, 1],
+  '1/2-1/2': [0.5, 0.5],
+  '+-': [1, 0],
+  '-+': [0, 1],
+  '--': [0, 0]
+};
+
+// Other spellings accepted when entering results
+const RESULT_ALIASES = {
+  '½-½': '1/2-1/2',
+  '0.5-0.5': '1/2-1/2',
+  '=': '1/2-1/2',
+  '1-0f': '+-',
+  '0-1f': '-+',
+  '0-0f': '--'
+};
+
+// Players left out of a round's games: `full` is the pairing-allocated bye
+// for an odd player count (or a knockout bye), `half` a requested half-point
+// bye, `zero` absent or the resting player of an odd round-robin
+const BYE_TYPES = ['full', 'half', 'zero'];
+
+const BYE_POINTS = {
+  full: 1,
+  half: 0.5,
+  zero: 0
+};
+
+const COLOURS = ['white', 'black'];
+
+// Standings tiebreaks, applied in the order a tournament lists them
+//   buchholz          sum of opponents' scores
+//   buchholz_cut1     Buchholz without the lowest opponent
+//   sonneborn_berger  opponents' scores weighted by the result against them
+//   direct_encounter  points between the tied players, if they all met
+//   wins              rounds won, including forfeit wins and full-point byes
+const TIEBREAKS = ['buchholz', 'buchholz_cut1', 'sonneborn_berger', 'direct_encounter', 'wins'];
+
+// Used when a tournament does not choose its own
+const DEFAULT_TIEBREAKS = {
+  swiss: ['buchholz_cut1', 'buchholz', 'direct_encounter', 'wins'],
+  round_robin: ['direct_encounter', 'sonneborn_berger', 'wins'],
+  double_round_robin: ['direct_encounter', 'sonneborn_berger', 'wins'],
+  knockout: []
+};
+
+module.exports = {
+  TOURNAMENT_FORMATS,
+  FORMAT_LABELS,
+  GAME_RESULTS,
+  FORFEIT_RESULTS,
+  RESULT_POINTS,
+  RESULT_ALIASES,
+  BYE_TYPES,
+  BYE_POINTS,
+  COLOURS,
+  TIEBREAKS,
+  DEFAULT_TIEBREAKS
+};
@@ -0,0 +1,19 @@
+// Rating pools tracked for each student
+const RATING_TYPES = ['classical', 'rapid', 'blitz', 'fide', 'national'];
+
+// Pool shown as the student's headline rating, in order of preference
+const PRIMARY_RATING_ORDER = ['fide', 'classical', 'national', 'rapid', 'blitz'];
+
+// Titles awarded by FIDE, as they appear in the official rating lists
+const FIDE_TITLES = ['GM', 'IM', 'FM', 'CM', 'WGM', 'WIM', 'WFM', 'WCM'];
+
+const MIN_RATING = 0;
+const MAX_RATING = 3500;
+
+module.exports = {
+  RATING_TYPES,
+  PRIMARY_RATING_ORDER,
+  FIDE_TITLES,
+  MIN_RATING,
+  MAX_RATING
+};
@@ -0,0 +1,92 @@
+// Staff roles and the permissions each one grants.
+// Permissions are `<resource>:<action>` strings checked by requirePermission().
+
+const ROLES = ['super_admin', 'branch_manager', 'coach', 'content_editor', 'arbiter'];
+
+// Accounts created before roles existed were all 'admin'; they keep full access
+const LEGACY_ROLES = ['admin'];
+
+const BRANCHES = ['Kalamboli', 'Kamothe', 'Roadpali'];
+
+const PERMISSIONS = [
+  'students:read',
+  'students:create',
+  'students:update',
+  'students:publish',
+  'students:delete',
+  'tournaments:read',
+  'tournaments:create',
+  'tournaments:update',
+  'tournaments:results',
+  'tournaments:delete',
+  'enrollments:read',
+  'enrollments:update',
+  'enrollments:delete',
+  'users:manage',
+  'audit:read',
+  'apikeys:manage'
+];
+
+// Permissions that may be granted to API keys; account administration stays with humans
+const API_KEY_PERMISSIONS = PERMISSIONS.filter(permission =>
+  !['users:manage', 'apikeys:manage'].includes(permission)
+);
+
+const ROLE_PERMISSIONS = {
+  super_admin: PERMISSIONS,
+  admin: PERMISSIONS,
+  branch_manager: [
+    'students:read',
+    'tournaments:read',
+    'enrollments:read',
+    'enrollments:update'
+  ],
+  coach: [
+    'students:read',
+    'students:update',
+    'tournaments:read'
+  ],
+  content_editor: [
+    'students:read',
+    'students:create',
+    'students:update',
+    'tournaments:read',
+    'tournaments:create',
+    'tournaments:update'
+  ],
+  arbiter: [
+    'tournaments:read',
+    'tournaments:update',
+    'tournaments:results'
+  ]
+};
+
+// Roles whose data access is limited to their own branch
+const BRANCH_SCOPED_ROLES = ['branch_manager'];
+
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (role, permission) => getPermissions(role).includes(permission);
+
+const isSuperAdmin = (role) => role === 'super_admin' || LEGACY_ROLES.includes(role);
+
+// REQUIRE_TWO_FACTOR is 'true' for every role, or a comma-separated list of roles
+const isTwoFactorRequired = (role) => {
+  const setting = (process.env.REQUIRE_TWO_FACTOR || '').trim();
+  if (setting === 'true') return true;
+  return setting.split(',').map(item => item.trim()).includes(role);
+};
+
+module.exports = {
+  ROLES,
+  LEGACY_ROLES,
+  BRANCHES,
+  PERMISSIONS,
+  API_KEY_PERMISSIONS,
+  ROLE_PERMISSIONS,
+  BRANCH_SCOPED_ROLES,
+  getPermissions,
+  hasPermission,
+  isSuperAdmin,
+  isTwoFactorRequired
+};
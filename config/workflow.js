@@ -0,0 +1,24 @@
+// Editorial workflow for public content (student testimonials).
+// Content is only shown publicly while `published` and inside its
+// publishAt/expiresAt window.
+
+const CONTENT_STATUSES = ['draft', 'in_review', 'published', 'archived'];
+
+// action -> allowed source states, target state and the permission it needs
+const WORKFLOW_ACTIONS = {
+  submit: { from: ['draft'], to: 'in_review', permission: 'update' },
+  reject: { from: ['in_review'], to: 'draft', permission: 'publish' },
+  publish: { from: ['draft', 'in_review', 'published'], to: 'published', permission: 'publish' },
+  unpublish: { from: ['published'], to: 'draft', permission: 'publish' },
+  archive: { from: ['draft', 'in_review', 'published'], to: 'archived', permission: 'publish' },
+  reopen: { from: ['archived'], to: 'draft', permission: 'update' }
+};
+
+// States whose content can only be edited by someone allowed to publish
+const LOCKED_STATUSES = ['published', 'archived'];
+
+module.exports = {
+  CONTENT_STATUSES,
+  WORKFLOW_ACTIONS,
+  LOCKED_STATUSES
+};
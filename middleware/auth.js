@@ -1,8 +1,46 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const Session = require('../models/Session');
+const { hasPermission, isSuperAdmin, isTwoFactorRequired, BRANCH_SCOPED_ROLES } = require('../config/roles');
 
-const auth = async (req, res, next) => {
+// Only write lastSeenAt when it is at least this stale, to avoid a write per request
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Authenticate an X-API-Key request as the key's creator, scoped to the key's permissions
+const authenticateApiKey = async (key, req, res, next) => {
+  const apiKey = await ApiKey.findByKey(key);
+
+  if (!apiKey || !apiKey.isActive) {
+    return res.status(401).json({ message: 'Invalid, expired or revoked API key.' });
+  }
+
+  const user = await User.findById(apiKey.createdBy).select('-password');
+  if (!user || !user.isActive) {
+    return res.status(401).json({ message: 'API key owner is deactivated.' });
+  }
+
+  apiKey.lastUsedAt = new Date();
+  apiKey.lastUsedIp = req.ip;
+  await apiKey.save();
+
+  req.user = user;
+  req.apiKey = apiKey;
+  next();
+};
+
+// Verify the Bearer access token (or, if allowed, an X-API-Key) and load req.user.
+// `allowTwoFactorSetup` lets users who must enrol in 2FA reach the enrolment routes.
+const authenticate = ({ allowTwoFactorSetup = false, allowApiKey = false } = {}) => async (req, res, next) => {
   try {
+    const apiKey = req.header('X-API-Key');
+    if (apiKey) {
+      if (!allowApiKey) {
+        return res.status(401).json({ message: 'API keys cannot be used for this endpoint.' });
+      }
+      return await authenticateApiKey(apiKey, req, res, next);
+    }
+
     const token = req.header('Authorization')?.replace('Bearer ', '');
 
     if (!token) {
@@ -10,6 +48,12 @@ const auth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Purpose-bound tokens (e.g. 2FA challenges) are not access tokens
+    if (decoded.purpose) {
+      return res.status(401).json({ message: 'Invalid token.' });
+    }
+
     const user = await User.findById(decoded.id).select('-password');
 
     if (!user) {
@@ -20,6 +64,31 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ message: 'Account is deactivated.' });
     }
 
+    if ((decoded.tv || 0) !== user.tokenVersion) {
+      return res.status(401).json({ message: 'Token has been revoked.' });
+    }
+
+    // Tokens tied to a session die with it
+    if (decoded.sid) {
+      const session = await Session.findById(decoded.sid);
+      if (!session || session.revokedAt) {
+        return res.status(401).json({ message: 'Session has been revoked.' });
+      }
+
+      if (Date.now() - session.lastSeenAt > SESSION_TOUCH_INTERVAL_MS) {
+        session.lastSeenAt = new Date();
+        await session.save();
+      }
+      req.sessionId = session._id;
+    }
+
+    if (!allowTwoFactorSetup && !user.twoFactorEnabled && isTwoFactorRequired(user.role)) {
+      return res.status(403).json({
+        message: 'Two-factor authentication must be set up before continuing.',
+        code: 'TWO_FACTOR_SETUP_REQUIRED'
+      });
+    }
+
     req.user = user;
     next();
   } catch (error) {
@@ -35,11 +104,43 @@ const auth = async (req, res, next) => {
   }
 };
 
+// Admin routes: staff token or API key
+const auth = authenticate({ allowApiKey: true });
+// Account routes that only make sense for a logged-in person
+const userAuth = authenticate();
+const authForTwoFactorSetup = authenticate({ allowTwoFactorSetup: true });
+
 const adminOnly = (req, res, next) => {
-  if (req.user.role !== 'admin') {
+  if (req.apiKey || !isSuperAdmin(req.user.role)) {
     return res.status(403).json({ message: 'Access denied. Admin privileges required.' });
   }
   next();
 };
 
-module.exports = { auth, adminOnly };
\ No newline at end of file
+// Whether the authenticated user (and API key, if used) holds a permission
+const can = (req, permission) =>
+  hasPermission(req.user.role, permission) &&
+  (!req.apiKey || req.apiKey.permissions.includes(permission));
+
+// Require the current user's role (and API key scope, if any) to grant every listed permission
+const requirePermission = (...permissions) => (req, res, next) => {
+  const missing = permissions.filter(permission => !can(req, permission));
+
+  if (missing.length > 0) {
+    return res.status(403).json({
+      message: 'Access denied. Insufficient permissions.',
+      required: missing
+    });
+  }
+  next();
+};
+
+// Query filter limiting branch-scoped roles to their own branch's records
+const branchFilter = (user) => {
+  if (BRANCH_SCOPED_ROLES.includes(user.role)) {
+    return { branch: user.branch };
+  }
+  return {};
+};
+
+module.exports = { auth, userAuth, authForTwoFactorSetup, adminOnly, requirePermission, can, branchFilter };
\ No newline at end of file
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { API_KEY_PERMISSIONS } = require('../config/roles');
+
+const KEY_PREFIX = 'aca_';
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // First characters of the key, shown in listings so keys can be told apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  permissions: {
+    type: [{
+      type: String,
+      enum: API_KEY_PERMISSIONS
+    }],
+    validate: [list => list.length > 0, 'At least one permission is required']
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  // Requests made with the key act on behalf of this user
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// Generate a new raw key; only its hash is stored
+apiKeySchema.statics.generateKey = function() {
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+  return {
+    key,
+    prefix: key.slice(0, KEY_PREFIX.length + 8),
+    keyHash: hashKey(key)
+  };
+};
+
+apiKeySchema.statics.findByKey = function(key) {
+  return this.findOne({ keyHash: hashKey(key) });
+};
+
+apiKeySchema.methods.toJSON = function() {
+  const apiKey = this.toObject();
+  delete apiKey.keyHash;
+  apiKey.isActive = this.isActive;
+  return apiKey;
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Copied from the actor so entries stay readable if the user is removed
+  actorName: {
+    type: String,
+    trim: true
+  },
+  actorEmail: {
+    type: String,
+    trim: true
+  },
+  // Set when the action was made with an API key on the actor's behalf
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    trim: true
+  },
+  entityType: {
+    type: String,
+    required: [true, 'Entity type is required'],
+    enum: ['Student', 'Tournament', 'Enrollment', 'Registration', 'User', 'ApiKey']
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Human-readable name of the entity at the time of the action
+  entityLabel: {
+    type: String,
+    trim: true
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }]
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose')
+const softDelete = require('./plugins/softDelete')
+const { BRANCHES } = require('../config/roles')
 
 const enrollmentSchema = new mongoose.Schema({
   name: {
@@ -26,7 +28,7 @@ const enrollmentSchema = new mongoose.Schema({
   branch: {
     type: String,
     required: [true, 'Branch selection is required'],
-    enum: ['Kalamboli', 'Kamothe', 'Roadpali'],
+    enum: BRANCHES,
     default: 'Kalamboli'
   },
   age: {
@@ -93,15 +95,15 @@ enrollmentSchema.pre('save', function(next) {
 })
 
 // Static method to get uncontacted count
-enrollmentSchema.statics.getUncontactedCount = function() {
-  return this.countDocuments({ contacted: false, isActive: true })
+enrollmentSchema.statics.getUncontactedCount = function(filter = {}) {
+  return this.countDocuments({ ...filter, contacted: false, isActive: true })
 }
 
 // Static method to get enrollment statistics
-enrollmentSchema.statics.getStats = function() {
+enrollmentSchema.statics.getStats = function(filter = {}) {
   return this.aggregate([
     {
-      $match: { isActive: true }
+      $match: { ...filter, isActive: true }
     },
     {
       $group: {
@@ -128,4 +130,6 @@ enrollmentSchema.statics.getStats = function() {
   ])
 }
 
+enrollmentSchema.plugin(softDelete)
+
 module.exports = mongoose.model('Enrollment', enrollmentSchema)
\ No newline at end of file
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const { RESULTS } = require('../utils/pgn');
+
+// A game score uploaded as PGN, attached to the pairing it was played in.
+// The PGN tags and movetext are kept as uploaded so annotations survive a
+// round trip; round, board and players are copied from the pairing for lookups.
+const gameSchema = new mongoose.Schema({
+  tournament: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tournament',
+    required: true
+  },
+  round: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  pairing: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  board: {
+    type: Number,
+    min: 1
+  },
+  white: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Registration',
+    required: true
+  },
+  black: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Registration',
+    required: true
+  },
+  // PGN tags in file order
+  headers: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  movetext: {
+    type: String,
+    required: true
+  },
+  result: {
+    type: String,
+    enum: RESULTS,
+    required: true
+  },
+  plyCount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One game per pairing; uploading it again replaces it
+gameSchema.index({ tournament: 1, pairing: 1 }, { unique: true });
+gameSchema.index({ tournament: 1, round: 1, board: 1 });
+gameSchema.index({ white: 1 });
+gameSchema.index({ black: 1 });
+
+module.exports = mongoose.model('Game', gameSchema);
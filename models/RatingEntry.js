@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { RATING_TYPES, MIN_RATING, MAX_RATING } = require('../config/ratings');
+
+// One dated rating observation for a student; the student's current and
+// peak ratings are derived from these
+const ratingEntrySchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student is required']
+  },
+  type: {
+    type: String,
+    required: [true, 'Rating type is required'],
+    enum: RATING_TYPES
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [MIN_RATING, 'Rating cannot be negative'],
+    max: [MAX_RATING, `Rating cannot exceed ${MAX_RATING}`]
+  },
+  date: {
+    type: Date,
+    required: [true, 'Date is required'],
+    default: Date.now
+  },
+  // Where the value came from, e.g. 'manual', 'fide-import', 'migration'
+  source: {
+    type: String,
+    trim: true,
+    default: 'manual'
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot exceed 200 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+ratingEntrySchema.index({ student: 1, type: 1, date: 1 });
+
+module.exports = mongoose.model('RatingEntry', ratingEntrySchema);
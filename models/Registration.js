@@ -0,0 +1,218 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { MIN_RATING, MAX_RATING } = require('../config/ratings');
+
+const REGISTRATION_STATUSES = ['confirmed', 'waitlisted', 'withdrawn'];
+
+// A player's entry in a tournament using native registration. Confirmed
+// entries count towards the tournament's currentParticipants; once it is full,
+// new entries join the waitlist and are promoted in order as places free up.
+const registrationSchema = new mongoose.Schema({
+  tournament: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tournament',
+    required: [true, 'Tournament is required']
+  },
+  playerName: {
+    type: String,
+    required: [true, 'Player name is required'],
+    trim: true,
+    maxlength: [100, 'Player name cannot exceed 100 characters']
+  },
+  rating: {
+    type: Number,
+    min: [MIN_RATING, 'Rating cannot be negative'],
+    max: [MAX_RATING, `Rating cannot exceed ${MAX_RATING}`],
+    default: null
+  },
+  fideId: {
+    type: String,
+    trim: true,
+    match: [/^[0-9]{8}$/, 'FIDE ID must be exactly 8 digits'],
+    default: null
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true,
+    match: [
+      /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+      'Please provide a valid email'
+    ]
+  },
+  phone: {
+    type: String,
+    trim: true,
+    match: [/^[0-9]{10}$/, 'Please provide a valid 10-digit phone number']
+  },
+  section: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: REGISTRATION_STATUSES,
+    required: true
+  },
+  confirmedAt: {
+    type: Date,
+    default: null
+  },
+  // Set when the entry moved from the waitlist to confirmed
+  promotedAt: {
+    type: Date,
+    default: null
+  },
+  withdrawnAt: {
+    type: Date,
+    default: null
+  },
+  // Staff member who withdrew the entry; null when the player did
+  withdrawnBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // SHA-256 of the token the player can use to withdraw
+  withdrawTokenHash: {
+    type: String,
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+registrationSchema.index({ tournament: 1, status: 1, createdAt: 1 });
+// One active entry per email and tournament; withdrawn entries may repeat
+registrationSchema.index(
+  { tournament: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['confirmed', 'waitlisted'] } } }
+);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Confirm a new entry if the tournament has room, otherwise waitlist it.
+// The place is reserved with an atomic increment so concurrent entries
+// cannot overfill the tournament. Returns { registration, withdrawToken }.
+registrationSchema.statics.register = async function(tournament, data) {
+  const Tournament = mongoose.model('Tournament');
+  const withdrawToken = crypto.randomBytes(24).toString('hex');
+
+  const reserved = await Tournament.findOneAndUpdate(
+    { _id: tournament._id, $expr: { $lt: ['$currentParticipants', '$maxParticipants'] } },
+    { $inc: { currentParticipants: 1 } }
+  );
+
+  try {
+    const registration = await this.create({
+      ...data,
+      tournament: tournament._id,
+      status: reserved ? 'confirmed' : 'waitlisted',
+      confirmedAt: reserved ? new Date() : null,
+      withdrawTokenHash: hashToken(withdrawToken)
+    });
+    return { registration, withdrawToken };
+  } catch (error) {
+    if (reserved) {
+      await Tournament.updateOne({ _id: tournament._id }, { $inc: { currentParticipants: -1 } });
+    }
+    throw error;
+  }
+};
+
+registrationSchema.statics.findByWithdrawToken = function(tournamentId, token) {
+  return this.findOne({
+    tournament: tournamentId,
+    withdrawTokenHash: hashToken(token),
+    status: { $ne: 'withdrawn' }
+  });
+};
+
+// Fill free places from the front of the waitlist. Only done while the
+// tournament is upcoming and unpaired: a player confirmed into a running or
+// finished event would join it on 0 points. Returns the promoted entries.
+registrationSchema.statics.promoteFromWaitlist = async function(tournamentId) {
+  const Tournament = mongoose.model('Tournament');
+  const promoted = [];
+
+  if (await mongoose.model('Round').exists({ tournament: tournamentId })) return promoted;
+
+  for (;;) {
+    const next = await this.findOne({ tournament: tournamentId, status: 'waitlisted' }).sort({ createdAt: 1 });
+    if (!next) break;
+
+    const reserved = await Tournament.findOneAndUpdate(
+      { _id: tournamentId, status: 'upcoming', $expr: { $lt: ['$currentParticipants', '$maxParticipants'] } },
+      { $inc: { currentParticipants: 1 } }
+    );
+    if (!reserved) break;
+
+    const now = new Date();
+    const registration = await this.findOneAndUpdate(
+      { _id: next._id, status: 'waitlisted' },
+      { status: 'confirmed', confirmedAt: now, promotedAt: now },
+      { new: true }
+    );
+
+    if (registration) {
+      promoted.push(registration);
+    } else {
+      // Withdrawn in the meantime; give the place back and try the next one
+      await Tournament.updateOne({ _id: tournamentId }, { $inc: { currentParticipants: -1 } });
+    }
+  }
+
+  return promoted;
+};
+
+// Withdraw this entry, freeing its place for the waitlist if it was confirmed.
+// The status changes atomically so concurrent withdrawals free the place only
+// once. Returns the entries promoted as a result, or null if the entry had
+// already been withdrawn.
+registrationSchema.methods.withdraw = async function(userId = null) {
+  const changes = { status: 'withdrawn', withdrawnAt: new Date(), withdrawnBy: userId };
+
+  const previous = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: { $ne: 'withdrawn' } },
+    changes
+  );
+  if (!previous) return null;
+
+  this.set(changes);
+  if (previous.status !== 'confirmed') return [];
+
+  await mongoose.model('Tournament').updateOne(
+    { _id: this.tournament, currentParticipants: { $gt: 0 } },
+    { $inc: { currentParticipants: -1 } }
+  );
+  return this.constructor.promoteFromWaitlist(this.tournament);
+};
+
+// Recount confirmed entries into the tournament's currentParticipants
+registrationSchema.statics.syncParticipants = async function(tournamentId) {
+  const confirmed = await this.countDocuments({ tournament: tournamentId, status: 'confirmed' });
+  await mongoose.model('Tournament').updateOne({ _id: tournamentId }, { currentParticipants: confirmed });
+  return confirmed;
+};
+
+// 1-based position of a waitlisted entry
+registrationSchema.methods.waitlistPosition = async function() {
+  if (this.status !== 'waitlisted') return null;
+  const ahead = await this.constructor.countDocuments({
+    tournament: this.tournament,
+    status: 'waitlisted',
+    createdAt: { $lt: this.createdAt }
+  });
+  return ahead + 1;
+};
+
+registrationSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.withdrawTokenHash;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Registration', registrationSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// A numbered snapshot of a student's or tournament's content after a change.
+// `changes` is the field-level diff from the previous version.
+const revisionSchema = new mongoose.Schema({
+  entityType: {
+    type: String,
+    required: [true, 'Entity type is required'],
+    enum: ['Student', 'Tournament']
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Entity ID is required']
+  },
+  version: {
+    type: Number,
+    required: [true, 'Version is required'],
+    min: 1
+  },
+  // 'baseline' is the state before the first tracked change of a record
+  // created before revisions existed
+  action: {
+    type: String,
+    enum: ['baseline', 'create', 'update', 'import', 'rollback'],
+    required: [true, 'Action is required']
+  },
+  // Version restored by a rollback
+  restoredVersion: {
+    type: Number,
+    default: null
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Snapshot is required']
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Copied so the history stays readable if the user is removed
+  createdByName: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+revisionSchema.index({ entityType: 1, entityId: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('Revision', revisionSchema);
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const { GAME_RESULTS, BYE_TYPES, COLOURS } = require('../config/pairing');
+
+const pairingSchema = new mongoose.Schema({
+  board: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  white: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Registration',
+    required: true
+  },
+  black: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Registration',
+    required: true
+  },
+  result: {
+    type: String,
+    enum: [...GAME_RESULTS, null],
+    default: null
+  },
+  // Knockout only: position in the bracket; winners of 2t and 2t + 1 meet in t
+  slot: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // Knockout only: who goes through after a drawn game, as decided by a
+  // playoff or armageddon game
+  advances: {
+    type: String,
+    enum: [...COLOURS, null],
+    default: null
+  }
+});
+
+const byeSchema = new mongoose.Schema({
+  player: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Registration',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: BYE_TYPES,
+    required: true
+  },
+  slot: {
+    type: Number,
+    min: 0,
+    default: null
+  }
+}, { _id: false });
+
+// One round of a tournament's pairings. Players are the tournament's
+// registrations. Swiss and knockout rounds are generated one at a time;
+// round-robin events get every round up front.
+const roundSchema = new mongoose.Schema({
+  tournament: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tournament',
+    required: true
+  },
+  number: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  pairings: [pairingSchema],
+  byes: [byeSchema],
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Set once an arbiter has replaced the generated pairings
+  overriddenAt: {
+    type: Date,
+    default: null
+  },
+  overriddenBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+roundSchema.index({ tournament: 1, number: 1 }, { unique: true });
+
+roundSchema.virtual('isComplete').get(function() {
+  return this.pairings.every(pairing => pairing.result !== null);
+});
+
+roundSchema.virtual('hasResults').get(function() {
+  return this.pairings.some(pairing => pairing.result !== null);
+});
+
+module.exports = mongoose.model('Round', roundSchema);
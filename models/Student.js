@@ -1,4 +1,50 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+const { RATING_TYPES, PRIMARY_RATING_ORDER, FIDE_TITLES, MIN_RATING, MAX_RATING } = require('../config/ratings');
+const { CONTENT_STATUSES } = require('../config/workflow');
+const { ACHIEVEMENT_TYPES } = require('../config/achievements');
+
+// { classical: Number, rapid: Number, ... } with shared bounds
+const ratingFields = () => Object.fromEntries(RATING_TYPES.map(type => [type, {
+  type: Number,
+  min: [MIN_RATING, 'Rating cannot be negative'],
+  max: [MAX_RATING, `Rating cannot exceed ${MAX_RATING}`],
+  default: null
+}]));
+
+const achievementSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Achievement title is required'],
+    trim: true,
+    maxlength: [200, 'Achievement cannot exceed 200 characters']
+  },
+  type: {
+    type: String,
+    enum: ACHIEVEMENT_TYPES,
+    default: 'other'
+  },
+  date: {
+    type: Date,
+    default: null
+  },
+  tournament: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tournament',
+    default: null
+  },
+  // Finishing place in the referenced tournament
+  placement: {
+    type: Number,
+    min: [1, 'Placement must be at least 1'],
+    default: null
+  }
+});
+
+// Achievements used to be plain strings; accept those as { title }
+const normalizeAchievements = (achievements) => (Array.isArray(achievements)
+  ? achievements.map(achievement => (typeof achievement === 'string' ? { title: achievement } : achievement))
+  : achievements);
 
 const studentSchema = new mongoose.Schema({
   name: {
@@ -13,34 +59,32 @@ const studentSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Title cannot exceed 100 characters']
   },
-  rating: {
-    type: String,
-    required: [true, 'Rating is required'],
-    trim: true
-  },
-  peakRating: {
-    type: String,
-    required: [true, 'Peak rating is required'],
-    trim: true
-  },
+  // Current rating per pool, taken from the latest rating history entry
+  ratings: ratingFields(),
+  // Highest rating ever recorded per pool, derived from rating history
+  peakRatings: ratingFields(),
   fideId: {
     type: String,
     trim: true,
     match: [/^[0-9]{8}$/, 'FIDE ID must be exactly 8 digits'],
     sparse: true // Allows null/undefined values while maintaining uniqueness for existing values
   },
+  // Official FIDE title, kept in sync by the FIDE rating list import
+  fideTitle: {
+    type: String,
+    enum: [...FIDE_TITLES, null],
+    default: null
+  },
   program: {
     type: String,
     required: [true, 'Program is required'],
     trim: true,
     maxlength: [100, 'Program name cannot exceed 100 characters']
   },
-  achievements: [{
-    type: String,
-    required: true,
-    trim: true,
-    maxlength: [200, 'Achievement cannot exceed 200 characters']
-  }],
+  achievements: {
+    type: [achievementSchema],
+    set: normalizeAchievements
+  },
   joinDate: {
     type: String,
     required: [true, 'Join date is required'],
@@ -73,12 +117,143 @@ const studentSchema = new mongoose.Schema({
   featured: {
     type: Boolean,
     default: false
+  },
+  // Editorial workflow; only published students inside their window are public
+  status: {
+    type: String,
+    enum: CONTENT_STATUSES,
+    default: 'draft'
+  },
+  // Scheduled go-live; null means as soon as published
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  // Drops off the public site after this time; null means no expiry
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  submittedAt: {
+    type: Date,
+    default: null
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Reviewer's note when sending a submission back
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Review note cannot exceed 500 characters'],
+    default: null
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
 });
 
 // Index for sorting
 studentSchema.index({ displayOrder: 1, createdAt: -1 });
+studentSchema.index({ 'ratings.fide': -1 });
+studentSchema.index({ 'ratings.classical': -1 });
+studentSchema.index({ status: 1, isActive: 1, publishAt: 1, expiresAt: 1 });
+studentSchema.index({ featured: 1, displayOrder: 1, createdAt: -1 });
+studentSchema.index({ 'achievements.tournament': 1 });
+
+// Documents saved before structured achievements still hold strings
+studentSchema.pre('init', function(raw) {
+  if (raw.achievements) {
+    raw.achievements = normalizeAchievements(raw.achievements);
+  }
+});
+
+studentSchema.statics.normalizeAchievements = normalizeAchievements;
+
+// Query for students the public site may show at `now`
+studentSchema.statics.publishedFilter = function(now = new Date()) {
+  return {
+    isActive: true,
+    status: 'published',
+    $and: [
+      { $or: [{ publishAt: null }, { publishAt: { $lte: now } }] },
+      { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] }
+    ]
+  };
+};
+
+// Whether the public site shows this student right now
+studentSchema.virtual('isLive').get(function() {
+  const now = new Date();
+  return this.isActive &&
+    this.status === 'published' &&
+    (!this.publishAt || this.publishAt <= now) &&
+    (!this.expiresAt || this.expiresAt > now);
+});
+
+// Headline rating for display: first pool with a value in PRIMARY_RATING_ORDER
+studentSchema.virtual('rating').get(function() {
+  const type = PRIMARY_RATING_ORDER.find(pool => this.ratings && this.ratings[pool] != null);
+  return type ? this.ratings[type] : null;
+});
+
+studentSchema.virtual('peakRating').get(function() {
+  const type = PRIMARY_RATING_ORDER.find(pool => this.peakRatings && this.peakRatings[pool] != null);
+  return type ? this.peakRatings[type] : null;
+});
+
+// Recompute current and peak ratings from the rating history
+studentSchema.methods.syncRatings = async function() {
+  const RatingEntry = mongoose.model('RatingEntry');
+  const entries = await RatingEntry.find({ student: this._id }).sort({ date: 1, createdAt: 1 });
+
+  RATING_TYPES.forEach(type => {
+    const history = entries.filter(entry => entry.type === type);
+    this.ratings[type] = history.length ? history[history.length - 1].rating : null;
+    this.peakRatings[type] = history.length ? Math.max(...history.map(entry => entry.rating)) : null;
+  });
+
+  return this.save();
+};
+
+// Append history entries for every pool whose value differs from the current
+// rating, then resync. Returns the number of entries added.
+studentSchema.methods.recordRatings = async function(values = {}, { date = new Date(), source = 'manual', note, createdBy = null } = {}) {
+  const RatingEntry = mongoose.model('RatingEntry');
+
+  const entries = RATING_TYPES
+    .filter(type => values[type] !== undefined && values[type] !== null && values[type] !== '')
+    .filter(type => Number(values[type]) !== this.ratings[type])
+    .map(type => ({
+      student: this._id,
+      type,
+      rating: Number(values[type]),
+      date,
+      source,
+      note,
+      createdBy
+    }));
+
+  if (entries.length > 0) {
+    await RatingEntry.insertMany(entries);
+    await this.syncRatings();
+  }
+
+  return entries.length;
+};
+
+studentSchema.plugin(softDelete);
 
 module.exports = mongoose.model('Student', studentSchema);
\ No newline at end of file
@@ -1,4 +1,18 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+const { TOURNAMENT_FORMATS, TIEBREAKS } = require('../config/pairing');
+
+const finalStandingSchema = new mongoose.Schema({
+  rank: Number,
+  registration: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Registration'
+  },
+  playerName: String,
+  rating: Number,
+  points: Number,
+  tiebreaks: mongoose.Schema.Types.Mixed
+}, { _id: false });
 
 const tournamentSchema = new mongoose.Schema({
   name: {
@@ -11,6 +25,17 @@ const tournamentSchema = new mongoose.Schema({
     type: Date,
     required: [true, 'Tournament date is required']
   },
+  // Last day of a multi-day event; one-day events leave it unset
+  endDate: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function(value) {
+        return !value || !this.date || value >= this.date;
+      },
+      message: 'End date cannot be before the start date'
+    }
+  },
   time: {
     type: String,
     required: [true, 'Tournament time is required'],
@@ -48,11 +73,21 @@ const tournamentSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Current participants cannot be negative']
   },
+  // Drives pairing and schedule generation (see config/pairing.js)
   format: {
     type: String,
     required: [true, 'Tournament format is required'],
+    enum: {
+      values: TOURNAMENT_FORMATS,
+      message: `Format must be one of: ${TOURNAMENT_FORMATS.join(', ')}`
+    }
+  },
+  // Free-text details shown with the format, e.g. '7 rounds, FIDE rated'
+  formatNotes: {
+    type: String,
     trim: true,
-    maxlength: [100, 'Format cannot exceed 100 characters']
+    maxlength: [100, 'Format notes cannot exceed 100 characters'],
+    default: ''
   },
   timeControl: {
     type: String,
@@ -60,18 +95,43 @@ const tournamentSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Time control cannot exceed 100 characters']
   },
+  // Planned number of rounds for paired events; no limit when unset
+  totalRounds: {
+    type: Number,
+    min: [1, 'Total rounds must be at least 1'],
+    max: [50, 'Total rounds cannot exceed 50'],
+    default: null
+  },
   category: {
     type: String,
     required: [true, 'Category is required'],
     enum: ['Open Tournament', 'Youth (Under 18)', 'Online Blitz', 'Rapid', 'Classical', 'Blitz'],
     trim: true
   },
+  // 'external' sends players to registrationLink; 'native' takes entries
+  // through the API (Registration) and derives currentParticipants from them
+  registrationMode: {
+    type: String,
+    enum: ['external', 'native'],
+    default: 'external'
+  },
   registrationLink: {
     type: String,
-    required: [true, 'Registration link is required'],
+    required: [function() { return this.registrationMode === 'external'; }, 'Registration link is required'],
     trim: true,
     match: [/^https?:\/\/.+/, 'Please enter a valid URL']
   },
+  // Sections players can enter, e.g. 'Open', 'Under 12'; empty for a single section
+  sections: [{
+    type: String,
+    trim: true,
+    maxlength: [50, 'Section name cannot exceed 50 characters']
+  }],
+  // Native registration closes at this time, or at the start date if unset
+  registrationClosesAt: {
+    type: Date,
+    default: null
+  },
   poster: {
     type: String,
     default: '🏆'
@@ -90,6 +150,11 @@ const tournamentSchema = new mongoose.Schema({
     type: Date,
     required: [true, 'List until date is required']
   },
+  // Set by the status job once listUntil has passed (see utils/tournamentStatus.js)
+  delistedAt: {
+    type: Date,
+    default: null
+  },
   status: {
     type: String,
     enum: ['upcoming', 'ongoing', 'completed', 'cancelled'],
@@ -108,7 +173,14 @@ const tournamentSchema = new mongoose.Schema({
   finalParticipants: {
     type: Number,
     default: null
-  }
+  },
+  // Standings tiebreaks in order; empty uses the format's defaults
+  tiebreaks: [{
+    type: String,
+    enum: TIEBREAKS
+  }],
+  // Final ranking of paired events, stored when the tournament is completed
+  finalStandings: [finalStandingSchema]
 }, {
   timestamps: true
 });
@@ -122,20 +194,36 @@ tournamentSchema.virtual('isExpired').get(function() {
   return new Date() > this.listUntil;
 });
 
-// Method to update status based on dates
-tournamentSchema.methods.updateStatus = function() {
-  const now = new Date();
-  const tournamentDate = new Date(this.date);
-  
-  if (now > tournamentDate) {
-    this.status = 'completed';
-  } else if (now.toDateString() === tournamentDate.toDateString()) {
-    this.status = 'ongoing';
-  } else {
-    this.status = 'upcoming';
-  }
-  
-  return this.save();
+// Query for tournaments on the public listing: active, upcoming or ongoing,
+// and not past listUntil. The calendar feed also keeps cancelled ones so
+// subscribers see the cancellation.
+tournamentSchema.statics.listedFilter = function({ now = new Date(), category, includeCancelled = false } = {}) {
+  const filter = {
+    isActive: true,
+    listUntil: { $gte: now },
+    status: { $in: includeCancelled ? ['upcoming', 'ongoing', 'cancelled'] : ['upcoming', 'ongoing'] }
+  };
+  if (category) filter.category = category;
+  return filter;
+};
+
+// Whether native registration currently accepts entries
+tournamentSchema.methods.isRegistrationOpen = function() {
+  const closesAt = this.registrationClosesAt || this.date;
+  return this.registrationMode === 'native' &&
+    this.isActive &&
+    this.status === 'upcoming' &&
+    new Date() < closesAt;
 };
 
+// Extending listUntil lists the tournament again
+tournamentSchema.pre('save', function(next) {
+  if (this.isModified('listUntil') && this.delistedAt && this.listUntil >= new Date()) {
+    this.delistedAt = null;
+  }
+  next();
+});
+
+tournamentSchema.plugin(softDelete);
+
 module.exports = mongoose.model('Tournament', tournamentSchema);
\ No newline at end of file
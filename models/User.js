@@ -1,5 +1,17 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES, LEGACY_ROLES, BRANCHES, BRANCH_SCOPED_ROLES } = require('../config/roles');
+const { verifyCode } = require('../utils/totp');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Login throttling: short, doubling delays after LOGIN_DELAY_AFTER failures,
+// then a full lockout once LOGIN_MAX_ATTEMPTS is reached
+const LOGIN_DELAY_AFTER = parseInt(process.env.LOGIN_DELAY_AFTER) || 3;
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 10;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const LOGIN_MAX_DELAY_SECONDS = 60;
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -17,8 +29,17 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['admin'],
-    default: 'admin'
+    enum: [...ROLES, ...LEGACY_ROLES],
+    required: [true, 'Role is required']
+  },
+  // Branch the user belongs to; required for branch-scoped roles
+  branch: {
+    type: String,
+    enum: BRANCHES,
+    required: [
+      function() { return BRANCH_SCOPED_ROLES.includes(this.role); },
+      'Branch is required for this role'
+    ]
   },
   name: {
     type: String,
@@ -31,7 +52,84 @@ const userSchema = new mongoose.Schema({
   },
   lastLogin: {
     type: Date
-  }
+  },
+  // Bumped to invalidate every access token issued before it ("log out everywhere")
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // SHA-256 of the outstanding password reset token, cleared once used
+  passwordResetTokenHash: {
+    type: String,
+    default: null
+  },
+  passwordResetExpires: {
+    type: Date,
+    default: null
+  },
+  // Invitation sent by another staff member; cleared once the password is set
+  invitationTokenHash: {
+    type: String,
+    default: null
+  },
+  invitationExpires: {
+    type: Date,
+    default: null
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  invitationAcceptedAt: {
+    type: Date,
+    default: null
+  },
+  deactivatedAt: {
+    type: Date,
+    default: null
+  },
+  deactivatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Failed login tracking for brute-force protection
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date,
+    default: null
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  // TOTP two-factor authentication
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    default: null
+  },
+  // Secret generated during setup, promoted once the first code is verified
+  twoFactorPendingSecret: {
+    type: String,
+    default: null
+  },
+  // Last accepted TOTP time step, so a code cannot be replayed
+  twoFactorLastUsedStep: {
+    type: Number,
+    default: null
+  },
+  // SHA-256 hashes of unused recovery codes
+  twoFactorRecoveryCodes: [{
+    type: String
+  }]
 }, {
   timestamps: true
 });
@@ -54,10 +152,163 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+userSchema.virtual('isLocked').get(function() {
+  return !!(this.lockUntil && this.lockUntil > new Date());
+});
+
+// Seconds until the next login attempt is allowed
+userSchema.methods.lockRemainingSeconds = function() {
+  if (!this.isLocked) return 0;
+  return Math.ceil((this.lockUntil - Date.now()) / 1000);
+};
+
+// Record a failed password or 2FA attempt and apply any delay or lockout.
+// The count is kept with atomic updates so concurrent failures all count.
+userSchema.methods.registerFailedLogin = async function() {
+  const User = this.constructor;
+  const now = new Date();
+
+  // A full lockout that has run its course starts the count again
+  await User.updateOne(
+    {
+      _id: this._id,
+      failedLoginAttempts: { $gte: LOGIN_MAX_ATTEMPTS },
+      $or: [{ lockUntil: null }, { lockUntil: { $lte: now } }]
+    },
+    { failedLoginAttempts: 0 }
+  );
+
+  const updated = await User.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failedLoginAttempts: 1 }, lastFailedLoginAt: now },
+    { new: true }
+  );
+  if (!updated) return this;
+
+  const attempts = updated.failedLoginAttempts;
+  let lockUntil = updated.lockUntil;
+
+  if (attempts >= LOGIN_DELAY_AFTER) {
+    const delaySeconds = attempts >= LOGIN_MAX_ATTEMPTS
+      ? LOGIN_LOCKOUT_MINUTES * 60
+      : Math.min(2 ** (attempts - LOGIN_DELAY_AFTER), LOGIN_MAX_DELAY_SECONDS);
+    const until = new Date(now.getTime() + delaySeconds * 1000);
+
+    // $max so a concurrent failure cannot shorten a longer delay
+    await User.updateOne({ _id: this._id }, { $max: { lockUntil: until } });
+    if (!lockUntil || until > lockUntil) lockUntil = until;
+  }
+
+  this.failedLoginAttempts = attempts;
+  this.lastFailedLoginAt = now;
+  this.lockUntil = lockUntil;
+  return this;
+};
+
+userSchema.methods.resetLoginAttempts = function() {
+  this.failedLoginAttempts = 0;
+  this.lastFailedLoginAt = null;
+  this.lockUntil = null;
+};
+
+// Generate a single-use password reset token; only its hash is stored
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const minutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+
+  this.passwordResetTokenHash = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + minutes * 60 * 1000);
+
+  return token;
+};
+
+// Find the user owning an unexpired reset token
+userSchema.statics.findByPasswordResetToken = function(token) {
+  return this.findOne({
+    passwordResetTokenHash: hashToken(token),
+    passwordResetExpires: { $gt: new Date() }
+  });
+};
+
+// Generate an invitation token letting a new user choose their own password
+userSchema.methods.createInvitationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  const days = parseInt(process.env.INVITATION_EXPIRE_DAYS) || 7;
+
+  this.invitationTokenHash = hashToken(token);
+  this.invitationExpires = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+  return token;
+};
+
+// Find the user owning an unexpired invitation token
+userSchema.statics.findByInvitationToken = function(token) {
+  return this.findOne({
+    invitationTokenHash: hashToken(token),
+    invitationExpires: { $gt: new Date() }
+  });
+};
+
+// Check a TOTP code against the active (or pending) secret, rejecting replays
+userSchema.methods.verifyTwoFactorCode = function(code, { pending = false } = {}) {
+  const secret = pending ? this.twoFactorPendingSecret : this.twoFactorSecret;
+  if (!secret) return false;
+
+  const step = verifyCode(secret, code);
+  if (step === null || (this.twoFactorLastUsedStep !== null && step <= this.twoFactorLastUsedStep)) {
+    return false;
+  }
+
+  this.twoFactorLastUsedStep = step;
+  return true;
+};
+
+// Replace recovery codes with a fresh set, returning the raw codes once
+userSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactorRecoveryCodes = codes.map(hashToken);
+  return codes;
+};
+
+// Consume a recovery code; each one works only once
+userSchema.methods.useRecoveryCode = function(code) {
+  const hash = hashToken(String(code || '').trim().toLowerCase());
+  const index = this.twoFactorRecoveryCodes.indexOf(hash);
+  if (index === -1) return false;
+
+  this.twoFactorRecoveryCodes.splice(index, 1);
+  return true;
+};
+
+userSchema.methods.resetTwoFactor = function() {
+  this.twoFactorEnabled = false;
+  this.twoFactorSecret = null;
+  this.twoFactorPendingSecret = null;
+  this.twoFactorLastUsedStep = null;
+  this.twoFactorRecoveryCodes = [];
+};
+
+// Invited users who have not yet set a password
+userSchema.virtual('invitationPending').get(function() {
+  return !!this.invitationTokenHash;
+});
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.passwordResetTokenHash;
+  delete user.passwordResetExpires;
+  delete user.invitationTokenHash;
+  delete user.twoFactorSecret;
+  delete user.twoFactorPendingSecret;
+  delete user.twoFactorLastUsedStep;
+  delete user.twoFactorRecoveryCodes;
+  user.invitationPending = this.invitationPending;
   return user;
 };
 
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Soft deletion: `softDelete()` moves a document to the trash by setting
+// deletedAt, and every query leaves trashed documents out unless its filter
+// mentions deletedAt or it is run with `.setOptions({ withDeleted: true })`.
+// Trashed documents are removed for good by utils/purgeTrash.js.
+
+const QUERY_HOOKS = [
+  'countDocuments',
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'findOneAndDelete',
+  'updateOne',
+  'updateMany'
+];
+
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  });
+
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(QUERY_HOOKS, function() {
+    if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function() {
+    if (this.options.withDeleted) return;
+    const [first] = this.pipeline();
+    if (first && first.$match && 'deletedAt' in first.$match) return;
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+
+  schema.methods.softDelete = function(userId = null) {
+    this.deletedAt = new Date();
+    this.deletedBy = userId;
+    return this.save();
+  };
+
+  schema.methods.restore = function() {
+    this.deletedAt = null;
+    this.deletedBy = null;
+    return this.save();
+  };
+
+  // Filter for documents in the trash
+  schema.statics.trashFilter = function(filter = {}) {
+    return { ...filter, deletedAt: { $ne: null } };
+  };
+};
+
+module.exports = softDelete;
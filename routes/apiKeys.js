@@ -0,0 +1,182 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ApiKey = require('../models/ApiKey');
+const { userAuth, requirePermission } = require('../middleware/auth');
+const { API_KEY_PERMISSIONS, hasPermission } = require('../config/roles');
+const { recordAudit, toPlain } = require('../utils/audit');
+
+const router = express.Router();
+
+// Keys are managed by people only; a key can never mint another key
+router.use(userAuth, requirePermission('apikeys:manage'));
+
+// @route   GET /api/api-keys
+// @desc    List API keys
+// @access  Private (apikeys:manage)
+router.get('/', async (req, res) => {
+  try {
+    const { status = 'all' } = req.query;
+    const now = new Date();
+
+    const query = {};
+    if (status === 'active') {
+      query.revokedAt = null;
+      query.$or = [{ expiresAt: null }, { expiresAt: { $gt: now } }];
+    } else if (status === 'revoked') {
+      query.revokedAt = { $ne: null };
+    } else if (status === 'expired') {
+      query.revokedAt = null;
+      query.expiresAt = { $lte: now };
+    }
+
+    const apiKeys = await ApiKey.find(query)
+      .populate('createdBy', 'name email')
+      .populate('revokedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .select('-__v');
+
+    res.json({
+      success: true,
+      count: apiKeys.length,
+      data: apiKeys,
+      availablePermissions: API_KEY_PERMISSIONS
+    });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching API keys'
+    });
+  }
+});
+
+// @route   POST /api/api-keys
+// @desc    Create an API key; the raw key is returned only in this response
+// @access  Private (apikeys:manage)
+router.post('/', [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name is required and must not exceed 100 characters'),
+  body('permissions')
+    .isArray({ min: 1 })
+    .withMessage('At least one permission is required'),
+  body('permissions.*')
+    .isIn(API_KEY_PERMISSIONS)
+    .withMessage('Invalid permission'),
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Expiry must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Expiry must be in the future')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, permissions, expiresAt } = req.body;
+
+    // A key can never grant more than its creator holds
+    const notHeld = permissions.filter(permission => !hasPermission(req.user.role, permission));
+    if (notHeld.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot grant permissions you do not have',
+        permissions: notHeld
+      });
+    }
+
+    const { key, prefix, keyHash } = ApiKey.generateKey();
+
+    const apiKey = await ApiKey.create({
+      name,
+      prefix,
+      keyHash,
+      permissions: [...new Set(permissions)],
+      expiresAt: expiresAt || null,
+      createdBy: req.user._id
+    });
+
+    await recordAudit(req, { action: 'create', entityType: 'ApiKey', entity: apiKey, after: apiKey });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now; it will not be shown again.',
+      key,
+      data: apiKey
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Database validation failed',
+        errors: Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating API key'
+    });
+  }
+});
+
+// @route   PATCH /api/api-keys/:id/revoke
+// @desc    Revoke an API key
+// @access  Private (apikeys:manage)
+router.patch('/:id/revoke', async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    if (apiKey.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'API key is already revoked'
+      });
+    }
+
+    const before = toPlain(apiKey);
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = req.user._id;
+    await apiKey.save();
+
+    await recordAudit(req, { action: 'revoke', entityType: 'ApiKey', entity: apiKey, before, after: apiKey });
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: apiKey
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid API key ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking API key'
+    });
+  }
+});
+
+module.exports = router;
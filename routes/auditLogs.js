@@ -0,0 +1,129 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { auth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(auth, requirePermission('audit:read'));
+
+// @route   GET /api/audit-logs
+// @desc    Browse audit log entries, newest first
+// @access  Private (audit:read)
+router.get('/', async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      actor,
+      entityType = 'all',
+      entityId,
+      action = 'all',
+      search = '',
+      from,
+      to
+    } = req.query;
+
+    const query = {};
+
+    if (actor) {
+      if (!mongoose.isValidObjectId(actor)) {
+        return res.status(400).json({ success: false, message: 'Invalid actor ID' });
+      }
+      query.actor = actor;
+    }
+
+    if (entityType !== 'all') {
+      query.entityType = entityType;
+    }
+
+    if (entityId) {
+      if (!mongoose.isValidObjectId(entityId)) {
+        return res.status(400).json({ success: false, message: 'Invalid entity ID' });
+      }
+      query.entityId = entityId;
+    }
+
+    if (action !== 'all') {
+      query.action = action;
+    }
+
+    if (search) {
+      query.$or = [
+        { actorName: { $regex: search, $options: 'i' } },
+        { actorEmail: { $regex: search, $options: 'i' } },
+        { entityLabel: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+
+      if (Object.values(query.createdAt).some(date => isNaN(date))) {
+        return res.status(400).json({ success: false, message: 'Invalid date range' });
+      }
+    }
+
+    const logs = await AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .select('-__v');
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.json({
+      success: true,
+      count: logs.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      data: logs
+    });
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching audit logs'
+    });
+  }
+});
+
+// @route   GET /api/audit-logs/:id
+// @desc    Get single audit log entry
+// @access  Private (audit:read)
+router.get('/:id', async (req, res) => {
+  try {
+    const log = await AuditLog.findById(req.params.id)
+      .populate('actor', 'name email role')
+      .select('-__v');
+
+    if (!log) {
+      return res.status(404).json({
+        success: false,
+        message: 'Audit log entry not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: log
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid audit log ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching audit log'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,74 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { auth } = require('../middleware/auth');
+const Session = require('../models/Session');
+const { userAuth, authForTwoFactorSetup } = require('../middleware/auth');
+const { getPermissions, isTwoFactorRequired } = require('../config/roles');
+const { generateSecret, buildOtpauthUrl } = require('../utils/totp');
+const {
+  issueTokenPair,
+  startSession,
+  touchSession,
+  revokeSession,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  findRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllTokens
+} = require('../utils/tokens');
+const { sendMail } = require('../utils/mailer');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE
+// Stricter per-IP limit for credential endpoints than the global limiter
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.LOGIN_RATE_LIMIT) || 10,
+  skipSuccessfulRequests: true,
+  message: {
+    message: 'Too many login attempts from this IP, please try again later.',
+    retryAfter: '15 minutes'
+  }
+});
+
+const sendLockedResponse = (res, user) => {
+  const retryAfter = user.lockRemainingSeconds();
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    message: 'Too many failed login attempts. Please try again later.',
+    retryAfter
+  });
+};
+
+// Finish a login once every required factor is verified
+const completeLogin = async (user, req, res) => {
+  // Update last login and clear failed attempts
+  user.lastLogin = new Date();
+  user.resetLoginAttempts();
+  await user.save();
+
+  // Record the session and generate access and refresh tokens
+  const session = await startSession(user, req);
+  const { token, refreshToken } = await issueTokenPair(user, session, req.ip);
+
+  console.log('Login successful for email:', user.email);
+
+  res.json({
+    message: 'Login successful',
+    token,
+    refreshToken,
+    user: {
+      id: user._id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      branch: user.branch,
+      permissions: getPermissions(user.role),
+      twoFactorEnabled: user.twoFactorEnabled,
+      twoFactorSetupRequired: !user.twoFactorEnabled && isTwoFactorRequired(user.role)
+    }
   });
 };
 
@@ -17,6 +76,7 @@ const generateToken = (userId) => {
 // @desc    Admin login
 // @access  Public
 router.post('/login', [
+  loginLimiter,
   body('email')
     .isEmail()
     .normalizeEmail()
@@ -53,44 +113,102 @@ router.post('/login', [
       return res.status(401).json({ message: 'Account is deactivated' });
     }
 
+    // Refuse attempts while a delay or lockout is in force
+    if (user.isLocked) {
+      console.log('Login attempt on locked account:', email);
+      return sendLockedResponse(res, user);
+    }
+
     // Verify password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
-      console.log('Password verification failed for email:', email);
+      await user.registerFailedLogin();
+      console.log(`Password verification failed for email: ${email} (attempt ${user.failedLoginAttempts})`);
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
     console.log('Password verified successfully for email:', email);
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
-
-    // Generate token
-    const token = generateToken(user._id);
-    
-    console.log('Login successful for email:', email);
+    // Second step required: hand back a challenge instead of tokens
+    if (user.twoFactorEnabled) {
+      return res.json({
+        message: 'Two-factor authentication code required',
+        twoFactorRequired: true,
+        twoFactorToken: generateTwoFactorChallenge(user)
+      });
+    }
 
-    res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        email: user.email,
-        name: user.name,
-        role: user.role
-      }
-    });
+    await completeLogin(user, req, res);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ message: 'Server error during login' });
   }
 });
 
+// @route   POST /api/auth/login/2fa
+// @desc    Complete login with a TOTP or recovery code
+// @access  Public
+router.post('/login/2fa', [
+  loginLimiter,
+  body('twoFactorToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Two-factor token is required'),
+  body('code')
+    .optional()
+    .isString(),
+  body('recoveryCode')
+    .optional()
+    .isString(),
+  body()
+    .custom(value => value.code || value.recoveryCode)
+    .withMessage('An authentication code or recovery code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = verifyTwoFactorChallenge(req.body.twoFactorToken);
+    if (!userId) {
+      return res.status(401).json({ message: 'Two-factor session expired. Please log in again.' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    if (user.isLocked) {
+      return sendLockedResponse(res, user);
+    }
+
+    const { code, recoveryCode } = req.body;
+    const verified = code
+      ? user.verifyTwoFactorCode(code)
+      : user.useRecoveryCode(recoveryCode);
+
+    if (!verified) {
+      await user.registerFailedLogin();
+      console.log(`Two-factor verification failed for email: ${user.email} (attempt ${user.failedLoginAttempts})`);
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    await completeLogin(user, req, res);
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: 'Server error during login' });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
-router.get('/me', auth, async (req, res) => {
+router.get('/me', authForTwoFactorSetup, async (req, res) => {
   try {
     res.json({
       user: {
@@ -98,6 +216,10 @@ router.get('/me', auth, async (req, res) => {
         email: req.user.email,
         name: req.user.name,
         role: req.user.role,
+        branch: req.user.branch,
+        permissions: getPermissions(req.user.role),
+        twoFactorEnabled: req.user.twoFactorEnabled,
+        twoFactorSetupRequired: !req.user.twoFactorEnabled && isTwoFactorRequired(req.user.role),
         lastLogin: req.user.lastLogin
       }
     });
@@ -111,7 +233,7 @@ router.get('/me', auth, async (req, res) => {
 // @desc    Change password
 // @access  Private
 router.post('/change-password', [
-  auth,
+  userAuth,
   body('currentPassword')
     .notEmpty()
     .withMessage('Current password is required'),
@@ -150,11 +272,464 @@ router.post('/change-password', [
   }
 });
 
+// @route   POST /api/auth/2fa/setup
+// @desc    Start 2FA enrolment and return the provisioning URI
+// @access  Private
+router.post('/2fa/setup', authForTwoFactorSetup, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUrl: buildOtpauthUrl(secret, user.email)
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrolment with a code and receive recovery codes
+// @access  Private
+router.post('/2fa/enable', [
+  authForTwoFactorSetup,
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    if (!user.verifyTwoFactorCode(req.body.code, { pending: true })) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = null;
+    user.twoFactorEnabled = true;
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Regenerate recovery codes (invalidates the old ones)
+// @access  Private
+router.post('/2fa/recovery-codes', [
+  userAuth,
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json({ recoveryCodes });
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off 2FA (not allowed where it is enforced)
+// @access  Private
+router.post('/2fa/disable', [
+  userAuth,
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (isTwoFactorRequired(user.role)) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for your role' });
+    }
+
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch || !user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(400).json({ message: 'Invalid password or authentication code' });
+    }
+
+    user.resetTwoFactor();
+    await user.save();
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please enter a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Same response whether or not the account exists, to avoid leaking emails
+    const response = { message: 'If that email is registered, a reset link has been sent' };
+
+    const user = await User.findOne({ email: req.body.email });
+    if (!user || !user.isActive) {
+      console.log('Password reset requested for unknown or inactive email:', req.body.email);
+      return res.json(response);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save();
+
+    const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/admin/reset-password?token=${resetToken}`;
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your Aspire Chess Academy password',
+        text: `Hi ${user.name},\n\nUse the link below to choose a new password. It expires in ${parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60} minutes and can only be used once.\n\n${resetUrl}\n\nIf you did not request this, you can ignore this email.`
+      });
+    } catch (mailError) {
+      // Still the generic response: an error here would confirm the account exists
+      console.error('Failed to send password reset email:', mailError);
+      user.passwordResetTokenHash = null;
+      user.passwordResetExpires = null;
+      await user.save();
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post('/reset-password', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('New password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByPasswordResetToken(req.body.token);
+    if (!user || !user.isActive) {
+      return res.status(400).json({ message: 'Reset token is invalid or has expired' });
+    }
+
+    user.password = req.body.newPassword;
+    user.passwordResetTokenHash = null;
+    user.passwordResetExpires = null;
+    await user.save();
+
+    // Anyone holding the old credentials loses access
+    await revokeAllTokens(user, 'password-reset');
+
+    res.json({ message: 'Password has been reset successfully' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/accept-invite
+// @desc    Set a password using an invitation token
+// @access  Public
+router.post('/accept-invite', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Invitation token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByInvitationToken(req.body.token);
+    if (!user || !user.isActive) {
+      return res.status(400).json({ message: 'Invitation is invalid or has expired' });
+    }
+
+    user.password = req.body.password;
+    user.invitationTokenHash = null;
+    user.invitationExpires = null;
+    user.invitationAcceptedAt = new Date();
+    await user.save();
+
+    res.json({ message: 'Invitation accepted. You can now log in.' });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const stored = await findRefreshToken(req.body.refreshToken);
+    if (!stored) {
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    const user = await User.findById(stored.user);
+    if (!user || !user.isActive) {
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    if (stored.revokedAt) {
+      // A rotated token being replayed means it leaked: kill every session.
+      // Tokens revoked by logout or a session revoke were never rotated.
+      if (stored.replacedByHash) {
+        console.log('Refresh token reuse detected for user:', user.email);
+        await revokeAllTokens(user, 'token-reuse');
+      }
+      return res.status(401).json({ message: 'Refresh token has been revoked' });
+    }
+
+    if (!stored.isActive) {
+      return res.status(401).json({ message: 'Refresh token expired' });
+    }
+
+    // Tokens issued before sessions existed get one on their first refresh
+    const session = stored.session ? await Session.findById(stored.session) : await startSession(user, req);
+    if (!session || !session.isActive) {
+      return res.status(401).json({ message: 'Session has been revoked' });
+    }
+
+    const pair = await rotateRefreshToken(stored, user, session, req.ip);
+    if (!pair) {
+      // Another request rotated this token a moment ago; a session started
+      // for it here would be left without tokens
+      if (!stored.session) await session.deleteOne();
+      return res.status(401).json({ message: 'Refresh token has been revoked' });
+    }
+
+    session.ip = req.ip;
+    await touchSession(session);
+
+    res.json(pair);
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST /api/auth/logout
-// @desc    Logout (client-side token removal)
+// @desc    Logout by revoking the given refresh token
+// @access  Public
+router.post('/logout', [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const stored = await findRefreshToken(req.body.refreshToken);
+    if (stored && !stored.revokedAt) {
+      const session = stored.session && await Session.findById(stored.session);
+      if (session && !session.revokedAt) {
+        await revokeSession(session, 'logout');
+      } else {
+        await revokeRefreshToken(stored);
+      }
+    }
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Revoke every access and refresh token of the current user
 // @access  Private
-router.post('/logout', auth, (req, res) => {
-  res.json({ message: 'Logged out successfully' });
+router.post('/logout-all', authForTwoFactorSetup, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    await revokeAllTokens(user, 'logout-all');
+
+    res.json({ message: 'Logged out from all devices successfully' });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions
+// @access  Private
+router.get('/sessions', authForTwoFactorSetup, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastSeenAt: -1 });
+
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session._id,
+        ip: session.ip,
+        userAgent: session.userAgent,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        current: req.sessionId ? session._id.equals(req.sessionId) : false
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', authForTwoFactorSetup, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!session || session.revokedAt) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await revokeSession(session, 'revoked');
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid session ID' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
 });
 
 module.exports = router;
\ No newline at end of file
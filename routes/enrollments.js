@@ -1,7 +1,9 @@
 const express = require('express')
 const router = express.Router()
 const Enrollment = require('../models/Enrollment')
-const { auth, adminOnly } = require('../middleware/auth')
+const { auth, requirePermission, branchFilter } = require('../middleware/auth')
+const { recordAudit, toPlain } = require('../utils/audit')
+const { purgeDate } = require('../utils/purgeTrash')
 
 // @desc    Create new enrollment inquiry
 // @route   POST /api/enrollments
@@ -69,11 +71,12 @@ router.post('/', async (req, res) => {
 
 // @desc    Get enrollment statistics
 // @route   GET /api/enrollments/admin/stats
-// @access  Private/Admin
-router.get('/admin/stats', auth, adminOnly, async (req, res) => {
+// @access  Private (enrollments:read)
+router.get('/admin/stats', auth, requirePermission('enrollments:read'), async (req, res) => {
   try {
-    const stats = await Enrollment.getStats()
-    const uncontactedCount = await Enrollment.getUncontactedCount()
+    const scope = branchFilter(req.user)
+    const stats = await Enrollment.getStats(scope)
+    const uncontactedCount = await Enrollment.getUncontactedCount(scope)
 
     res.json({
       success: true,
@@ -93,8 +96,8 @@ router.get('/admin/stats', auth, adminOnly, async (req, res) => {
 
 // @desc    Get all enrollment inquiries for admin
 // @route   GET /api/enrollments/admin
-// @access  Private/Admin
-router.get('/admin', auth, adminOnly, async (req, res) => {
+// @access  Private (enrollments:read)
+router.get('/admin', auth, requirePermission('enrollments:read'), async (req, res) => {
   try {
     const {
       page = 1,
@@ -108,6 +111,7 @@ router.get('/admin', auth, adminOnly, async (req, res) => {
     } = req.query
 
     // Build query
+    const scope = branchFilter(req.user)
     const query = { isActive: true }
 
     // Search filter
@@ -134,6 +138,9 @@ router.get('/admin', auth, adminOnly, async (req, res) => {
       query.branch = branch
     }
 
+    // Branch-scoped roles only ever see their own branch
+    Object.assign(query, scope)
+
     // Build sort object
     const sort = {}
     sort[sortBy] = sortOrder === 'desc' ? -1 : 1
@@ -149,11 +156,11 @@ router.get('/admin', auth, adminOnly, async (req, res) => {
         .limit(parseInt(limit))
         .lean(),
       Enrollment.countDocuments(query),
-      Enrollment.getStats()
+      Enrollment.getStats(scope)
     ])
 
     // Get uncontacted count for badge
-    const uncontactedCount = await Enrollment.getUncontactedCount()
+    const uncontactedCount = await Enrollment.getUncontactedCount(scope)
 
     res.json({
       success: true,
@@ -178,12 +185,52 @@ router.get('/admin', auth, adminOnly, async (req, res) => {
   }
 })
 
+// @desc    List enrollment inquiries in the trash
+// @route   GET /api/enrollments/admin/trash
+// @access  Private (enrollments:delete)
+router.get('/admin/trash', auth, requirePermission('enrollments:delete'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query
+    const query = Enrollment.trashFilter(branchFilter(req.user))
+    const skip = (parseInt(page) - 1) * parseInt(limit)
+
+    const [enrollments, total] = await Promise.all([
+      Enrollment.find(query)
+        .populate('deletedBy', 'name email')
+        .sort({ deletedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      Enrollment.countDocuments(query)
+    ])
+
+    res.json({
+      success: true,
+      data: enrollments.map(enrollment => ({ ...enrollment, purgeAt: purgeDate(enrollment.deletedAt) })),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalItems: total,
+        itemsPerPage: parseInt(limit),
+        hasNext: skip + enrollments.length < total,
+        hasPrev: parseInt(page) > 1
+      }
+    })
+  } catch (error) {
+    console.error('Error fetching enrollment trash:', error)
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching trash'
+    })
+  }
+})
+
 // @desc    Get single enrollment inquiry
 // @route   GET /api/enrollments/:id
-// @access  Private/Admin
-router.get('/:id', auth, adminOnly, async (req, res) => {
+// @access  Private (enrollments:read)
+router.get('/:id', auth, requirePermission('enrollments:read'), async (req, res) => {
   try {
-    const enrollment = await Enrollment.findById(req.params.id)
+    const enrollment = await Enrollment.findOne({ _id: req.params.id, ...branchFilter(req.user) })
       .populate('contactedBy', 'name email')
 
     if (!enrollment || !enrollment.isActive) {
@@ -208,8 +255,8 @@ router.get('/:id', auth, adminOnly, async (req, res) => {
 
 // @desc    Update enrollment status
 // @route   PATCH /api/enrollments/:id/status
-// @access  Private/Admin
-router.patch('/:id/status', auth, adminOnly, async (req, res) => {
+// @access  Private (enrollments:update)
+router.patch('/:id/status', auth, requirePermission('enrollments:update'), async (req, res) => {
   try {
     const { status, notes } = req.body
     const validStatuses = ['pending', 'contacted', 'enrolled', 'rejected']
@@ -226,11 +273,7 @@ router.patch('/:id/status', auth, adminOnly, async (req, res) => {
       updateData.notes = notes
     }
 
-    const enrollment = await Enrollment.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true, runValidators: true }
-    ).populate('contactedBy', 'name email')
+    const enrollment = await Enrollment.findOne({ _id: req.params.id, ...branchFilter(req.user) })
 
     if (!enrollment || !enrollment.isActive) {
       return res.status(404).json({
@@ -239,6 +282,13 @@ router.patch('/:id/status', auth, adminOnly, async (req, res) => {
       })
     }
 
+    const before = toPlain(enrollment)
+    Object.assign(enrollment, updateData)
+    await enrollment.save()
+
+    await recordAudit(req, { action: 'update', entityType: 'Enrollment', entity: enrollment, before, after: enrollment })
+    await enrollment.populate('contactedBy', 'name email')
+
     res.json({
       success: true,
       message: 'Enrollment status updated successfully',
@@ -255,8 +305,8 @@ router.patch('/:id/status', auth, adminOnly, async (req, res) => {
 
 // @desc    Mark enrollment as contacted
 // @route   PATCH /api/enrollments/:id/contact
-// @access  Private/Admin
-router.patch('/:id/contact', auth, adminOnly, async (req, res) => {
+// @access  Private (enrollments:update)
+router.patch('/:id/contact', auth, requirePermission('enrollments:update'), async (req, res) => {
   try {
     const { notes } = req.body
 
@@ -271,11 +321,7 @@ router.patch('/:id/contact', auth, adminOnly, async (req, res) => {
       updateData.notes = notes
     }
 
-    const enrollment = await Enrollment.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true, runValidators: true }
-    ).populate('contactedBy', 'name email')
+    const enrollment = await Enrollment.findOne({ _id: req.params.id, ...branchFilter(req.user) })
 
     if (!enrollment || !enrollment.isActive) {
       return res.status(404).json({
@@ -284,6 +330,13 @@ router.patch('/:id/contact', auth, adminOnly, async (req, res) => {
       })
     }
 
+    const before = toPlain(enrollment)
+    Object.assign(enrollment, updateData)
+    await enrollment.save()
+
+    await recordAudit(req, { action: 'contact', entityType: 'Enrollment', entity: enrollment, before, after: enrollment })
+    await enrollment.populate('contactedBy', 'name email')
+
     res.json({
       success: true,
       message: 'Enrollment marked as contacted',
@@ -298,12 +351,12 @@ router.patch('/:id/contact', auth, adminOnly, async (req, res) => {
   }
 })
 
-// @desc    Delete enrollment inquiry
+// @desc    Move enrollment inquiry to the trash
 // @route   DELETE /api/enrollments/:id
-// @access  Private/Admin
-router.delete('/:id', auth, adminOnly, async (req, res) => {
+// @access  Private (enrollments:delete)
+router.delete('/:id', auth, requirePermission('enrollments:delete'), async (req, res) => {
   try {
-    const enrollment = await Enrollment.findByIdAndDelete(req.params.id)
+    const enrollment = await Enrollment.findOne({ _id: req.params.id, ...branchFilter(req.user) })
 
     if (!enrollment) {
       return res.status(404).json({
@@ -312,9 +365,17 @@ router.delete('/:id', auth, adminOnly, async (req, res) => {
       })
     }
 
+    const before = toPlain(enrollment)
+    await enrollment.softDelete(req.user._id)
+
+    await recordAudit(req, { action: 'delete', entityType: 'Enrollment', entity: enrollment, before, after: enrollment })
+
     res.json({
       success: true,
-      message: 'Enrollment inquiry deleted successfully'
+      message: 'Enrollment inquiry moved to trash',
+      data: {
+        purgeAt: purgeDate(enrollment.deletedAt)
+      }
     })
   } catch (error) {
     console.error('Error deleting enrollment:', error)
@@ -331,4 +392,43 @@ router.delete('/:id', auth, adminOnly, async (req, res) => {
   }
 })
 
+// @desc    Restore enrollment inquiry from the trash
+// @route   PATCH /api/enrollments/:id/restore
+// @access  Private (enrollments:delete)
+router.patch('/:id/restore', auth, requirePermission('enrollments:delete'), async (req, res) => {
+  try {
+    const enrollment = await Enrollment.findOne(Enrollment.trashFilter({ _id: req.params.id, ...branchFilter(req.user) }))
+
+    if (!enrollment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Enrollment inquiry not found in trash'
+      })
+    }
+
+    const before = toPlain(enrollment)
+    await enrollment.restore()
+
+    await recordAudit(req, { action: 'restore', entityType: 'Enrollment', entity: enrollment, before, after: enrollment })
+
+    res.json({
+      success: true,
+      message: 'Enrollment inquiry restored successfully',
+      data: enrollment
+    })
+  } catch (error) {
+    console.error('Error restoring enrollment:', error)
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid enrollment ID'
+      })
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring enrollment inquiry'
+    })
+  }
+})
+
 module.exports = router
\ No newline at end of file
@@ -0,0 +1,488 @@
+const express = require('express');
+const multer = require('multer');
+const { body, param, query, validationResult } = require('express-validator');
+const Game = require('../models/Game');
+const Round = require('../models/Round');
+const Registration = require('../models/Registration');
+const Tournament = require('../models/Tournament');
+const { auth, requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { splitPgn, validateGame, toPgn, toPgnFile } = require('../utils/pgn');
+
+// Mounted at /api/tournaments/:tournamentId/games
+const router = express.Router({ mergeParams: true });
+
+const pgnUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: function (req, file, cb) {
+    if (/\.pgn$/i.test(file.originalname) || file.mimetype === 'application/x-chess-pgn') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only PGN files are allowed!'), false);
+    }
+  }
+});
+
+const MAX_UPLOAD_GAMES = 1000;
+
+const PLAYER_FIELDS = 'playerName rating fideId';
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const sendNotFound = (res, message) => res.status(404).json({
+  success: false,
+  message
+});
+
+const sendError = (res, error, context) => {
+  console.error(`${context} error:`, error);
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid ID'
+    });
+  }
+  res.status(500).json({
+    success: false,
+    message: `Server error while ${context.toLowerCase()}`
+  });
+};
+
+const sendPgn = (res, filename, text) => {
+  res.set('Content-Type', 'application/x-chess-pgn; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${filename}.pgn"`);
+  res.send(text);
+};
+
+// Safe file name part: "Pune Open 2026" -> "pune-open-2026"
+const fileSlug = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'games';
+
+// Names compared regardless of case, punctuation and word order, so
+// "Sharma, Arjun" in a PGN matches the registration "Arjun Sharma"
+const nameKey = (name) => String(name || '')
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(Boolean)
+  .sort()
+  .join(' ');
+
+// "3" or "3.1" (round.board) from a PGN Round tag
+const parseRoundTag = (value) => {
+  const match = String(value || '').trim().match(/^(\d+)(?:\.(\d+))?$/);
+  return match ? { round: parseInt(match[1]), board: match[2] ? parseInt(match[2]) : null } : null;
+};
+
+// Find the pairing a parsed game belongs to. `target` is the round number
+// and/or pairing ID given with the upload. Returns { round, pairing } or
+// { error }, with any warnings added to `warnings`.
+const matchPairing = (game, rounds, registrations, target, warnings) => {
+  if (target.pairing) {
+    const round = rounds.find(item => item.pairings.id(target.pairing));
+    if (!round) return { error: 'Pairing not found in this tournament' };
+    return { round, pairing: round.pairings.id(target.pairing) };
+  }
+
+  const tag = parseRoundTag(game.headers.Round);
+  const number = target.round || (tag && tag.round);
+
+  if (!number) {
+    return { error: `Round tag "${game.headers.Round}" is not a round number; give the round with the upload` };
+  }
+
+  const round = rounds.find(item => item.number === number);
+  if (!round) return { error: `Round ${number} has not been paired` };
+
+  const nameOf = (id) => registrations.get(id.toString());
+  const white = nameKey(game.headers.White);
+  const black = nameKey(game.headers.Black);
+
+  const pairing = round.pairings.find(item => nameKey(nameOf(item.white)) === white && nameKey(nameOf(item.black)) === black);
+  if (pairing) return { round, pairing };
+
+  if (round.pairings.some(item => nameKey(nameOf(item.white)) === black && nameKey(nameOf(item.black)) === white)) {
+    return { error: `${game.headers.White} and ${game.headers.Black} have their colours reversed compared to round ${number}` };
+  }
+
+  // Fall back to the board in a "round.board" tag when the names are spelt differently
+  const board = tag && tag.round === number && tag.board && round.pairings.find(item => item.board === tag.board);
+  if (board) {
+    warnings.push(`Matched by board ${board.board}: the pairing is ${nameOf(board.white)} - ${nameOf(board.black)}`);
+    return { round, pairing: board };
+  }
+
+  return { error: `No pairing in round ${number} for ${game.headers.White} - ${game.headers.Black}` };
+};
+
+// @route   GET /api/tournaments/:tournamentId/games
+// @desc    List a tournament's games (without the moves)
+// @access  Public
+router.get('/', [
+  query('round')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Round must be a positive integer')
+    .toInt()
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const tournament = await Tournament.findOne({ _id: req.params.tournamentId, isActive: true }).select('name');
+
+    if (!tournament) {
+      return sendNotFound(res, 'Tournament not found');
+    }
+
+    const filter = { tournament: tournament._id };
+    if (req.query.round) filter.round = req.query.round;
+
+    const games = await Game.find(filter)
+      .select('-movetext')
+      .populate('white', PLAYER_FIELDS)
+      .populate('black', PLAYER_FIELDS)
+      .sort({ round: 1, board: 1 });
+
+    res.json({
+      success: true,
+      count: games.length,
+      data: games
+    });
+  } catch (error) {
+    sendError(res, error, 'Fetching games');
+  }
+});
+
+// @route   GET /api/tournaments/:tournamentId/games/pgn
+// @desc    Download every game of the tournament as one PGN file
+// @access  Public
+router.get('/pgn', async (req, res) => {
+  try {
+    const tournament = await Tournament.findOne({ _id: req.params.tournamentId, isActive: true }).select('name');
+
+    if (!tournament) {
+      return sendNotFound(res, 'Tournament not found');
+    }
+
+    const games = await Game.find({ tournament: tournament._id }).sort({ round: 1, board: 1 });
+
+    if (games.length === 0) {
+      return sendNotFound(res, 'No games have been uploaded for this tournament');
+    }
+
+    sendPgn(res, fileSlug(tournament.name), toPgnFile(games));
+  } catch (error) {
+    sendError(res, error, 'Downloading games');
+  }
+});
+
+// @route   GET /api/tournaments/:tournamentId/games/players/:registrationId/pgn
+// @desc    Download one player's games as a PGN file
+// @access  Public
+router.get('/players/:registrationId/pgn', async (req, res) => {
+  try {
+    const tournament = await Tournament.findOne({ _id: req.params.tournamentId, isActive: true }).select('name');
+
+    if (!tournament) {
+      return sendNotFound(res, 'Tournament not found');
+    }
+
+    const player = await Registration.findOne({ _id: req.params.registrationId, tournament: tournament._id })
+      .select('playerName');
+
+    if (!player) {
+      return sendNotFound(res, 'Player not found');
+    }
+
+    const games = await Game.find({ tournament: tournament._id, $or: [{ white: player._id }, { black: player._id }] })
+      .sort({ round: 1 });
+
+    if (games.length === 0) {
+      return sendNotFound(res, `No games have been uploaded for ${player.playerName}`);
+    }
+
+    sendPgn(res, `${fileSlug(tournament.name)}-${fileSlug(player.playerName)}`, toPgnFile(games));
+  } catch (error) {
+    sendError(res, error, 'Downloading player games');
+  }
+});
+
+// @route   GET /api/tournaments/:tournamentId/games/:gameId
+// @desc    Get one game with its moves
+// @access  Public
+router.get('/:gameId', async (req, res) => {
+  try {
+    const tournament = await Tournament.findOne({ _id: req.params.tournamentId, isActive: true }).select('name');
+
+    if (!tournament) {
+      return sendNotFound(res, 'Tournament not found');
+    }
+
+    const game = await Game.findOne({ _id: req.params.gameId, tournament: tournament._id })
+      .populate('white', PLAYER_FIELDS)
+      .populate('black', PLAYER_FIELDS);
+
+    if (!game) {
+      return sendNotFound(res, 'Game not found');
+    }
+
+    res.json({
+      success: true,
+      data: game
+    });
+  } catch (error) {
+    sendError(res, error, 'Fetching game');
+  }
+});
+
+// @route   GET /api/tournaments/:tournamentId/games/:gameId/pgn
+// @desc    Download one game as a PGN file
+// @access  Public
+router.get('/:gameId/pgn', async (req, res) => {
+  try {
+    const tournament = await Tournament.findOne({ _id: req.params.tournamentId, isActive: true }).select('name');
+
+    if (!tournament) {
+      return sendNotFound(res, 'Tournament not found');
+    }
+
+    const game = await Game.findOne({ _id: req.params.gameId, tournament: tournament._id });
+
+    if (!game) {
+      return sendNotFound(res, 'Game not found');
+    }
+
+    sendPgn(res, `${fileSlug(tournament.name)}-round-${game.round}-board-${game.board}`, toPgn(game));
+  } catch (error) {
+    sendError(res, error, 'Downloading game');
+  }
+});
+
+// @route   POST /api/tournaments/:tournamentId/games
+// @desc    Upload games from a PGN file (or `pgn` text) and attach them to
+//          their pairings; with dryRun, only validate
+// @access  Private (tournaments:results)
+router.post('/', [
+  auth,
+  requirePermission('tournaments:results'),
+  pgnUpload.single('file'),
+  body('pgn')
+    .optional()
+    .isString()
+    .withMessage('PGN must be text'),
+  body('round')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1 })
+    .withMessage('Round must be a positive integer')
+    .toInt(),
+  body('pairing')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Pairing must be a pairing ID'),
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be true or false')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const text = req.file ? req.file.buffer.toString('utf8') : req.body.pgn;
+
+    if (!text || !text.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A PGN file or pgn text is required'
+      });
+    }
+
+    const tournament = await Tournament.findById(req.params.tournamentId);
+
+    if (!tournament) {
+      return sendNotFound(res, 'Tournament not found');
+    }
+
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    const parsed = splitPgn(text);
+
+    if (parsed.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No games found in the PGN'
+      });
+    }
+
+    if (parsed.length > MAX_UPLOAD_GAMES) {
+      return res.status(400).json({
+        success: false,
+        message: `A PGN upload cannot have more than ${MAX_UPLOAD_GAMES} games`
+      });
+    }
+
+    if (req.body.pairing && parsed.length > 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'A pairing can only be given when uploading a single game'
+      });
+    }
+
+    // Replaying the moves is the slow part, so only once the count is known
+    parsed.forEach(validateGame);
+
+    const rounds = await Round.find({ tournament: tournament._id }).sort({ number: 1 });
+    const registrations = new Map((await Registration.find({ tournament: tournament._id }).select('playerName'))
+      .map(registration => [registration._id.toString(), registration.playerName]));
+    const existing = new Set((await Game.find({ tournament: tournament._id }).select('pairing'))
+      .map(game => game.pairing.toString()));
+
+    // Match every game before anything is written
+    const seen = new Map();
+    const games = parsed.map((game, index) => {
+      const errors = [...game.errors];
+      const warnings = [];
+      let match = {};
+
+      if (errors.length === 0) {
+        match = matchPairing(game, rounds, registrations, { round: req.body.round, pairing: req.body.pairing }, warnings);
+        if (match.error) errors.push(match.error);
+      }
+
+      const { round, pairing } = match;
+      if (pairing) {
+        const key = pairing._id.toString();
+        if (seen.has(key)) {
+          errors.push(`Same pairing as game ${seen.get(key) + 1} in this upload`);
+        }
+        seen.set(key, index);
+
+        if (pairing.result && game.result !== '*' && pairing.result !== game.result) {
+          warnings.push(`PGN result ${game.result} differs from the recorded result ${pairing.result}`);
+        }
+      }
+
+      return {
+        number: index + 1,
+        line: game.line,
+        white: game.headers.White || null,
+        black: game.headers.Black || null,
+        round: round ? round.number : null,
+        board: pairing ? pairing.board : null,
+        action: pairing && existing.has(pairing._id.toString()) ? 'replace' : 'create',
+        errors,
+        warnings,
+        game,
+        pairing
+      };
+    });
+
+    const invalid = games.filter(game => game.errors.length > 0);
+    const report = {
+      dryRun,
+      total: games.length,
+      valid: games.length - invalid.length,
+      invalid: invalid.length,
+      toCreate: games.filter(game => game.action === 'create').length,
+      toReplace: games.filter(game => game.action === 'replace').length,
+      games: games.map(({ game, pairing, ...row }) => row)
+    };
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        message: invalid.length > 0
+          ? `Dry run: ${invalid.length} of ${games.length} games have errors`
+          : `Dry run: all ${games.length} games are valid`,
+        data: report
+      });
+    }
+
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Upload aborted: ${invalid.length} of ${games.length} games have errors`,
+        data: report
+      });
+    }
+
+    for (const row of games) {
+      const saved = await Game.findOneAndUpdate(
+        { tournament: tournament._id, pairing: row.pairing._id },
+        {
+          round: row.round,
+          board: row.board,
+          white: row.pairing.white,
+          black: row.pairing.black,
+          headers: row.game.headers,
+          movetext: row.game.movetext,
+          result: row.game.result,
+          plyCount: row.game.moves.length,
+          uploadedBy: req.user._id
+        },
+        { new: true, upsert: true, setDefaultsOnInsert: true, runValidators: true }
+      );
+      row.id = saved._id;
+    }
+
+    await recordAudit(req, {
+      action: 'upload-games',
+      entityType: 'Tournament',
+      entity: tournament,
+      after: { games: games.map(row => ({ id: row.id, round: row.round, board: row.board, action: row.action })) }
+    });
+
+    report.games = games.map(({ game, pairing, ...row }) => row);
+
+    res.json({
+      success: true,
+      message: `Uploaded ${games.length} games (${report.toCreate} new, ${report.toReplace} replaced)`,
+      data: report
+    });
+  } catch (error) {
+    sendError(res, error, 'Uploading games');
+  }
+});
+
+// @route   DELETE /api/tournaments/:tournamentId/games/:gameId
+// @desc    Delete an uploaded game
+// @access  Private (tournaments:results)
+router.delete('/:gameId', [
+  auth,
+  requirePermission('tournaments:results'),
+  param('gameId').isMongoId().withMessage('Invalid game ID')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const tournament = await Tournament.findById(req.params.tournamentId);
+
+    if (!tournament) {
+      return sendNotFound(res, 'Tournament not found');
+    }
+
+    const game = await Game.findOne({ _id: req.params.gameId, tournament: tournament._id });
+
+    if (!game) {
+      return sendNotFound(res, 'Game not found');
+    }
+
+    await game.deleteOne();
+
+    await recordAudit(req, { action: 'delete-game', entityType: 'Tournament', entity: tournament, before: game });
+
+    res.json({
+      success: true,
+      message: `Game from round ${game.round}, board ${game.board} deleted`
+    });
+  } catch (error) {
+    sendError(res, error, 'Deleting game');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,353 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body, query, validationResult } = require('express-validator');
+const Registration = require('../models/Registration');
+const Tournament = require('../models/Tournament');
+const { auth, requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { sendRegistrationEmail, notifyPromotions } = require('../utils/registrationMail');
+const { MIN_RATING, MAX_RATING } = require('../config/ratings');
+
+// Mounted at /api/tournaments/:tournamentId/registrations
+const router = express.Router({ mergeParams: true });
+
+// Per-IP limit on public sign-ups, on top of the global limiter
+const registrationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: parseInt(process.env.REGISTRATION_RATE_LIMIT) || 20,
+  message: {
+    success: false,
+    message: 'Too many registrations from this IP, please try again later.',
+    retryAfter: '1 hour'
+  }
+});
+
+const registrationValidation = [
+  body('playerName')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Player name is required and must not exceed 100 characters'),
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .toLowerCase(),
+  body('phone')
+    .optional({ values: 'falsy' })
+    .trim()
+    .matches(/^[0-9]{10}$/)
+    .withMessage('Please provide a valid 10-digit phone number'),
+  body('rating')
+    .optional({ values: 'null' })
+    .isInt({ min: MIN_RATING, max: MAX_RATING })
+    .withMessage(`Rating must be between ${MIN_RATING} and ${MAX_RATING}`)
+    .toInt(),
+  body('fideId')
+    .optional({ values: 'falsy' })
+    .trim()
+    .matches(/^[0-9]{8}$/)
+    .withMessage('FIDE ID must be exactly 8 digits'),
+  body('section')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Section must not exceed 50 characters')
+];
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Registrations with their current waitlist positions, in sign-up order
+const withWaitlistPositions = (registrations) => {
+  let position = 0;
+  return registrations.map(registration => ({
+    ...registration.toJSON(),
+    waitlistPosition: registration.status === 'waitlisted' ? ++position : null
+  }));
+};
+
+// @route   POST /api/tournaments/:tournamentId/registrations
+// @desc    Register for a tournament; joins the waitlist when it is full
+// @access  Public
+router.post('/', [registrationLimiter, ...registrationValidation], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const tournament = await Tournament.findById(req.params.tournamentId);
+
+    if (!tournament || !tournament.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tournament not found'
+      });
+    }
+
+    if (!tournament.isRegistrationOpen()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Registration is not open for this tournament'
+      });
+    }
+
+    const { playerName, email, phone, rating, fideId, section } = req.body;
+
+    if (tournament.sections.length > 0 && !tournament.sections.includes(section)) {
+      return res.status(400).json({
+        success: false,
+        message: `Section must be one of: ${tournament.sections.join(', ')}`
+      });
+    }
+
+    const existing = await Registration.findOne({
+      tournament: tournament._id,
+      email,
+      status: { $ne: 'withdrawn' }
+    });
+
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'This email is already registered for this tournament'
+      });
+    }
+
+    const { registration, withdrawToken } = await Registration.register(tournament, {
+      playerName,
+      email,
+      phone,
+      rating,
+      fideId,
+      section: tournament.sections.length > 0 ? section : null
+    });
+    const waitlistPosition = await registration.waitlistPosition();
+
+    try {
+      await sendRegistrationEmail(registration, tournament, { withdrawToken, waitlistPosition });
+    } catch (mailError) {
+      console.error('Registration email error:', mailError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: registration.status === 'confirmed'
+        ? 'Registration confirmed'
+        : 'The tournament is full; you have been added to the waitlist',
+      data: {
+        registration,
+        waitlistPosition,
+        withdrawToken
+      }
+    });
+  } catch (error) {
+    console.error('Create registration error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'This email is already registered for this tournament'
+      });
+    }
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tournament ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while registering'
+    });
+  }
+});
+
+// @route   POST /api/tournaments/:tournamentId/registrations/withdraw
+// @desc    Withdraw a registration using the token from the confirmation email
+// @access  Public
+router.post('/withdraw', [
+  registrationLimiter,
+  body('token')
+    .trim()
+    .isHexadecimal()
+    .isLength({ min: 48, max: 48 })
+    .withMessage('A valid withdraw token is required')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const registration = await Registration.findByWithdrawToken(req.params.tournamentId, req.body.token);
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration not found or already withdrawn'
+      });
+    }
+
+    const tournament = await Tournament.findById(registration.tournament);
+
+    if (tournament && ['completed', 'cancelled'].includes(tournament.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot withdraw from a ${tournament.status} tournament`
+      });
+    }
+
+    const promoted = await registration.withdraw();
+
+    if (!promoted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration not found or already withdrawn'
+      });
+    }
+
+    await notifyPromotions(tournament, promoted);
+
+    res.json({
+      success: true,
+      message: 'Registration withdrawn'
+    });
+  } catch (error) {
+    console.error('Withdraw registration error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tournament ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while withdrawing registration'
+    });
+  }
+});
+
+// @route   GET /api/tournaments/:tournamentId/registrations
+// @desc    List registrations with waitlist positions
+// @access  Private (tournaments:read)
+router.get('/', [
+  auth,
+  requirePermission('tournaments:read'),
+  query('status')
+    .optional()
+    .isIn(['all', 'confirmed', 'waitlisted', 'withdrawn'])
+    .withMessage('Status must be all, confirmed, waitlisted or withdrawn')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const tournament = await Tournament.findById(req.params.tournamentId).select('name maxParticipants currentParticipants registrationMode');
+
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tournament not found'
+      });
+    }
+
+    const { status = 'all' } = req.query;
+
+    // Positions are counted over the whole waitlist, so filter afterwards
+    const registrations = withWaitlistPositions(
+      await Registration.find({ tournament: tournament._id }).sort({ createdAt: 1 })
+    ).filter(registration => status === 'all' || registration.status === status);
+
+    const counts = { confirmed: 0, waitlisted: 0, withdrawn: 0 };
+    registrations.forEach(registration => {
+      counts[registration.status]++;
+    });
+
+    res.json({
+      success: true,
+      count: registrations.length,
+      data: {
+        tournament,
+        counts,
+        registrations
+      }
+    });
+  } catch (error) {
+    console.error('Get registrations error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tournament ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching registrations'
+    });
+  }
+});
+
+// @route   PATCH /api/tournaments/:tournamentId/registrations/:registrationId/withdraw
+// @desc    Withdraw a registration on the player's behalf
+// @access  Private (tournaments:update)
+router.patch('/:registrationId/withdraw', [auth, requirePermission('tournaments:update')], async (req, res) => {
+  try {
+    const registration = await Registration.findOne({
+      _id: req.params.registrationId,
+      tournament: req.params.tournamentId
+    });
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration not found'
+      });
+    }
+
+    if (registration.status === 'withdrawn') {
+      return res.status(400).json({
+        success: false,
+        message: 'Registration is already withdrawn'
+      });
+    }
+
+    const before = registration.toJSON();
+    const tournament = await Tournament.findById(registration.tournament);
+    const promoted = await registration.withdraw(req.user._id);
+
+    if (!promoted) {
+      return res.status(400).json({
+        success: false,
+        message: 'Registration is already withdrawn'
+      });
+    }
+
+    await notifyPromotions(tournament, promoted);
+
+    await recordAudit(req, { action: 'withdraw', entityType: 'Registration', entity: registration, entityLabel: registration.playerName, before, after: registration });
+
+    res.json({
+      success: true,
+      message: 'Registration withdrawn',
+      data: {
+        registration,
+        promoted
+      }
+    });
+  } catch (error) {
+    console.error('Admin withdraw registration error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid registration ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while withdrawing registration'
+    });
+  }
+});
+
+module.exports = router;
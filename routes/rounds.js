@@ -0,0 +1,778 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Round = require('../models/Round');
+const Game = require('../models/Game');
+const Registration = require('../models/Registration');
+const Tournament = require('../models/Tournament');
+const { auth, requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { pairSwissRound, pairingWarnings } = require('../utils/swissPairing');
+const {
+  bergerRounds,
+  bracketSize,
+  bracketRounds,
+  knockoutRoundName,
+  knockoutWinner,
+  knockoutFirstRound,
+  knockoutNextRound
+} = require('../utils/schedules');
+const { TOURNAMENT_FORMATS, FORMAT_LABELS, GAME_RESULTS, RESULT_ALIASES, BYE_TYPES, COLOURS } = require('../config/pairing');
+
+// Mounted at /api/tournaments/:tournamentId/rounds
+const router = express.Router({ mergeParams: true });
+
+const PLAYER_FIELDS = 'playerName rating fideId section status';
+
+const roundNumberValidation = param('number')
+  .isInt({ min: 1 })
+  .withMessage('Round number must be a positive integer')
+  .toInt();
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const populatePlayers = (query) => query
+  .populate('pairings.white', PLAYER_FIELDS)
+  .populate('pairings.black', PLAYER_FIELDS)
+  .populate('byes.player', PLAYER_FIELDS);
+
+// Registration -> pairing engine player
+const toPlayer = (registration) => ({
+  id: registration._id,
+  name: registration.playerName,
+  rating: registration.rating
+});
+
+const sendNotFound = (res, message) => res.status(404).json({
+  success: false,
+  message
+});
+
+// Completed and cancelled tournaments keep their rounds as they are, so the
+// winner and standings stored by /complete stay in line with them
+const FINISHED_STATUSES = ['completed', 'cancelled'];
+
+const sendIfFinished = (res, tournament, action) => {
+  if (!FINISHED_STATUSES.includes(tournament.status)) return false;
+  res.status(400).json({
+    success: false,
+    message: `Cannot ${action} a ${tournament.status} tournament`
+  });
+  return true;
+};
+
+const sendError = (res, error, context) => {
+  console.error(`${context} error:`, error);
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid ID'
+    });
+  }
+  res.status(500).json({
+    success: false,
+    message: `Server error while ${context.toLowerCase()}`
+  });
+};
+
+// @route   GET /api/tournaments/:tournamentId/rounds
+// @desc    Get all rounds with their pairings
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const tournament = await Tournament.findOne({ _id: req.params.tournamentId, isActive: true }).select('name totalRounds');
+
+    if (!tournament) {
+      return sendNotFound(res, 'Tournament not found');
+    }
+
+    const rounds = await populatePlayers(Round.find({ tournament: tournament._id }).sort({ number: 1 }));
+
+    res.json({
+      success: true,
+      count: rounds.length,
+      data: {
+        tournament,
+        rounds
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Fetching rounds');
+  }
+});
+
+// @route   GET /api/tournaments/:tournamentId/rounds/schedule
+// @desc    Full schedule: paired rounds plus the rounds still to come
+// @access  Public
+router.get('/schedule', async (req, res) => {
+  try {
+    const tournament = await Tournament.findOne({ _id: req.params.tournamentId, isActive: true }).select('name format totalRounds');
+
+    if (!tournament) {
+      return sendNotFound(res, 'Tournament not found');
+    }
+
+    const rounds = (await populatePlayers(Round.find({ tournament: tournament._id }).sort({ number: 1 })))
+      .map(round => round.toJSON());
+    const schedule = [...rounds];
+
+    if (tournament.format === 'knockout') {
+      // Later rounds are known in shape: winners of slots 2t and 2t + 1 meet in slot t
+      const fieldSize = rounds.length > 0
+        ? (rounds[0].pairings.length + rounds[0].byes.length) * 2
+        : await Registration.countDocuments({ tournament: tournament._id, status: 'confirmed' });
+      const totalRounds = bracketRounds(fieldSize);
+      let matches = bracketSize(fieldSize) / 2 ** (rounds.length + 1);
+
+      for (let number = rounds.length + 1; number <= totalRounds; number++, matches /= 2) {
+        schedule.push({
+          number,
+          pending: true,
+          pairings: Array.from({ length: matches }, (_, slot) => ({
+            board: slot + 1,
+            slot,
+            from: [slot * 2, slot * 2 + 1]
+          })),
+          byes: []
+        });
+      }
+
+      schedule.forEach(round => {
+        round.name = knockoutRoundName(round.pairings.length + round.byes.length);
+      });
+    } else {
+      for (let number = rounds.length + 1; number <= (tournament.totalRounds || 0); number++) {
+        schedule.push({ number, pending: true, pairings: [], byes: [] });
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        tournament: {
+          _id: tournament._id,
+          name: tournament.name,
+          format: tournament.format,
+          formatLabel: FORMAT_LABELS[tournament.format] || tournament.format,
+          totalRounds: tournament.format === 'knockout' ? schedule.length : tournament.totalRounds
+        },
+        rounds: schedule
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Fetching schedule');
+  }
+});
+
+// @route   GET /api/tournaments/:tournamentId/rounds/schedule/players/:registrationId
+// @desc    One player's games, round by round
+// @access  Public
+router.get('/schedule/players/:registrationId', async (req, res) => {
+  try {
+    const tournament = await Tournament.findOne({ _id: req.params.tournamentId, isActive: true }).select('name format');
+
+    if (!tournament) {
+      return sendNotFound(res, 'Tournament not found');
+    }
+
+    const player = await Registration.findOne({ _id: req.params.registrationId, tournament: tournament._id })
+      .select(PLAYER_FIELDS);
+
+    if (!player) {
+      return sendNotFound(res, 'Player not found');
+    }
+
+    const rounds = await populatePlayers(Round.find({ tournament: tournament._id }).sort({ number: 1 }));
+
+    const games = rounds.map(round => {
+      const pairing = round.pairings.find(item => item.white._id.equals(player._id) || item.black._id.equals(player._id));
+      if (pairing) {
+        const colour = pairing.white._id.equals(player._id) ? 'white' : 'black';
+        return {
+          round: round.number,
+          board: pairing.board,
+          colour,
+          opponent: colour === 'white' ? pairing.black : pairing.white,
+          result: pairing.result
+        };
+      }
+
+      const bye = round.byes.find(item => item.player._id.equals(player._id));
+      return {
+        round: round.number,
+        bye: bye ? bye.type : null
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        tournament,
+        player,
+        games
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Fetching player schedule');
+  }
+});
+
+// @route   GET /api/tournaments/:tournamentId/rounds/:number
+// @desc    Get one round's pairings
+// @access  Public
+router.get('/:number', [roundNumberValidation], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const tournament = await Tournament.findOne({ _id: req.params.tournamentId, isActive: true }).select('name totalRounds');
+
+    if (!tournament) {
+      return sendNotFound(res, 'Tournament not found');
+    }
+
+    const round = await populatePlayers(Round.findOne({ tournament: tournament._id, number: req.params.number }));
+
+    if (!round) {
+      return sendNotFound(res, 'Round not found');
+    }
+
+    res.json({
+      success: true,
+      data: round
+    });
+  } catch (error) {
+    sendError(res, error, 'Fetching round');
+  }
+});
+
+// Next round(s) for each format, or { error } when none can be made yet.
+// `rounds` are the existing rounds in order, `players` the confirmed
+// registrations and `registrations` everyone, including withdrawn players.
+const ROUND_BUILDERS = {
+  swiss: ({ rounds, players, registrations, requestedByes, initialColour }) => {
+    const pairing = pairSwissRound({
+      players: players.map(toPlayer),
+      previousPlayers: registrations.map(toPlayer),
+      rounds,
+      requestedByes,
+      initialColour
+    });
+
+    if (!pairing) {
+      return { error: 'No pairing satisfies the Swiss rules for this round; enter the pairings manually' };
+    }
+    return { rounds: [pairing] };
+  },
+
+  round_robin: ({ rounds, players }) => {
+    if (rounds.length > 0) {
+      return { error: 'The round-robin schedule has already been generated' };
+    }
+    return { rounds: bergerRounds(players.map(toPlayer)) };
+  },
+
+  double_round_robin: ({ rounds, players }) => {
+    if (rounds.length > 0) {
+      return { error: 'The round-robin schedule has already been generated' };
+    }
+    return { rounds: bergerRounds(players.map(toPlayer), { double: true }) };
+  },
+
+  knockout: ({ rounds, players, registrations }) => {
+    const latest = rounds[rounds.length - 1];
+
+    if (!latest) {
+      return { rounds: [knockoutFirstRound(players.map(toPlayer))] };
+    }
+
+    const undecided = latest.pairings.find(pairing => !knockoutWinner(pairing));
+    if (undecided) {
+      return { error: `Board ${undecided.board} of round ${latest.number} needs a decisive result, or who advances after a draw, to decide who goes through` };
+    }
+
+    const next = knockoutNextRound(registrations.map(toPlayer), latest);
+    if (!next) {
+      return { error: 'The knockout is finished' };
+    }
+    return { rounds: [next] };
+  }
+};
+
+// @route   POST /api/tournaments/:tournamentId/rounds
+// @desc    Pair the next round (Swiss, knockout) or the whole schedule (round-robin)
+// @access  Private (tournaments:results)
+router.post('/', [
+  auth,
+  requirePermission('tournaments:results'),
+  body('byes')
+    .optional()
+    .isArray()
+    .withMessage('Byes must be a list'),
+  body('byes.*.player')
+    .isMongoId()
+    .withMessage('Bye player must be a registration ID'),
+  body('byes.*.type')
+    .isIn(['half', 'zero'])
+    .withMessage('Requested byes must be half or zero'),
+  body('initialColour')
+    .optional()
+    .isIn(COLOURS)
+    .withMessage('Initial colour must be white or black')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const tournament = await Tournament.findById(req.params.tournamentId);
+
+    if (!tournament) {
+      return sendNotFound(res, 'Tournament not found');
+    }
+
+    if (tournament.registrationMode !== 'native') {
+      return res.status(400).json({
+        success: false,
+        message: 'Pairings need native registration so the players are known'
+      });
+    }
+
+    if (sendIfFinished(res, tournament, 'pair')) return;
+
+    const buildRounds = ROUND_BUILDERS[tournament.format];
+
+    if (!buildRounds) {
+      return res.status(400).json({
+        success: false,
+        message: `Choose a format (${TOURNAMENT_FORMATS.join(', ')}) before pairing`
+      });
+    }
+
+    if (tournament.format !== 'swiss' && (req.body.byes || []).length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Requested byes are only available in Swiss tournaments'
+      });
+    }
+
+    const rounds = await Round.find({ tournament: tournament._id }).sort({ number: 1 });
+    const latest = rounds[rounds.length - 1];
+
+    if (latest && !latest.isComplete) {
+      return res.status(400).json({
+        success: false,
+        message: `Enter all results of round ${latest.number} before pairing the next round`
+      });
+    }
+
+    if (tournament.format === 'swiss' && tournament.totalRounds && rounds.length >= tournament.totalRounds) {
+      return res.status(400).json({
+        success: false,
+        message: `All ${tournament.totalRounds} rounds have been paired`
+      });
+    }
+
+    const registrations = await Registration.find({ tournament: tournament._id });
+    const players = registrations.filter(registration => registration.status === 'confirmed');
+
+    const requestedByes = {};
+    for (const bye of req.body.byes || []) {
+      if (!players.some(player => player._id.equals(bye.player))) {
+        return res.status(400).json({
+          success: false,
+          message: `Bye player ${bye.player} is not a confirmed player in this tournament`
+        });
+      }
+      requestedByes[bye.player] = bye.type;
+    }
+
+    if (players.length - Object.keys(requestedByes).length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least two players are needed to pair a round'
+      });
+    }
+
+    const built = buildRounds({
+      rounds,
+      players,
+      registrations,
+      requestedByes,
+      initialColour: req.body.initialColour
+    });
+
+    if (built.error) {
+      return res.status(400).json({
+        success: false,
+        message: built.error
+      });
+    }
+
+    const created = await Round.insertMany(built.rounds.map((round, index) => ({
+      tournament: tournament._id,
+      number: rounds.length + index + 1,
+      pairings: round.pairings,
+      byes: round.byes,
+      generatedBy: req.user._id
+    })));
+
+    // Fixed schedules know their length once generated
+    if (tournament.format !== 'swiss' && rounds.length === 0) {
+      const totalRounds = tournament.format === 'knockout' ? bracketRounds(players.length) : created.length;
+      await Tournament.updateOne({ _id: tournament._id }, { totalRounds });
+    }
+
+    for (const round of created) {
+      await recordAudit(req, { action: 'pair-round', entityType: 'Tournament', entity: tournament, after: round });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: created.length === 1
+        ? `Round ${created[0].number} paired`
+        : `Rounds 1-${created.length} scheduled`,
+      data: await populatePlayers(Round.find({ _id: { $in: created.map(round => round._id) } }).sort({ number: 1 }))
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'This round has just been paired by someone else'
+      });
+    }
+    sendError(res, error, 'Pairing round');
+  }
+});
+
+// @route   PUT /api/tournaments/:tournamentId/rounds/:number/pairings
+// @desc    Replace a round's pairings by hand (arbiter override)
+// @access  Private (tournaments:results)
+router.put('/:number/pairings', [
+  auth,
+  requirePermission('tournaments:results'),
+  roundNumberValidation,
+  body('pairings')
+    .isArray()
+    .withMessage('Pairings must be a list'),
+  body('pairings.*.white')
+    .isMongoId()
+    .withMessage('White must be a registration ID'),
+  body('pairings.*.black')
+    .isMongoId()
+    .withMessage('Black must be a registration ID'),
+  body('pairings.*.slot')
+    .optional({ values: 'null' })
+    .isInt({ min: 0 })
+    .withMessage('Slot must be a non-negative integer')
+    .toInt(),
+  body('byes')
+    .optional()
+    .isArray()
+    .withMessage('Byes must be a list'),
+  body('byes.*.player')
+    .isMongoId()
+    .withMessage('Bye player must be a registration ID'),
+  body('byes.*.type')
+    .isIn(BYE_TYPES)
+    .withMessage(`Bye type must be one of: ${BYE_TYPES.join(', ')}`),
+  body('byes.*.slot')
+    .optional({ values: 'null' })
+    .isInt({ min: 0 })
+    .withMessage('Slot must be a non-negative integer')
+    .toInt()
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const tournament = await Tournament.findById(req.params.tournamentId);
+
+    if (!tournament) {
+      return sendNotFound(res, 'Tournament not found');
+    }
+
+    if (sendIfFinished(res, tournament, 're-pair rounds of')) return;
+
+    const rounds = await Round.find({ tournament: tournament._id }).sort({ number: 1 });
+    const round = rounds.find(item => item.number === req.params.number);
+
+    if (!round) {
+      return sendNotFound(res, 'Round not found');
+    }
+
+    // Round-robin rounds are all generated up front, so any unplayed one can change
+    const editable = ['round_robin', 'double_round_robin'].includes(tournament.format) || round === rounds[rounds.length - 1];
+
+    if (!editable || round.hasResults) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only the latest round can be re-paired, before any of its results are entered'
+      });
+    }
+
+    // Uploaded games point at the pairings about to be replaced
+    if (await Game.exists({ tournament: tournament._id, round: round.number })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Delete the games uploaded for this round before re-pairing it'
+      });
+    }
+
+    const knockout = tournament.format === 'knockout';
+    const pairings = req.body.pairings.map((pairing, index) => ({
+      board: index + 1,
+      white: pairing.white,
+      black: pairing.black,
+      slot: knockout ? pairing.slot : null
+    }));
+    const byes = (req.body.byes || []).map(bye => ({
+      player: bye.player,
+      type: bye.type,
+      slot: knockout ? bye.slot : null
+    }));
+
+    // A knockout round must fill the same bracket slots as before
+    if (knockout) {
+      const expected = round.pairings.length + round.byes.length;
+      const slots = [...pairings, ...byes].map(entry => entry.slot);
+      const complete = slots.length === expected &&
+        new Set(slots).size === expected &&
+        slots.every(slot => Number.isInteger(slot) && slot < expected);
+
+      if (!complete) {
+        return res.status(400).json({
+          success: false,
+          message: `Each match and bye needs a distinct bracket slot from 0 to ${expected - 1}`
+        });
+      }
+    }
+
+    const registrations = await Registration.find({ tournament: tournament._id });
+    const confirmedIds = registrations
+      .filter(registration => registration.status === 'confirmed')
+      .map(registration => registration._id.toString());
+
+    const seated = [
+      ...pairings.flatMap(pairing => [pairing.white, pairing.black]),
+      ...byes.map(bye => bye.player)
+    ];
+
+    const unknown = seated.find(id => !confirmedIds.includes(id));
+    if (unknown) {
+      return res.status(400).json({
+        success: false,
+        message: `Player ${unknown} is not a confirmed player in this tournament`
+      });
+    }
+
+    const repeated = seated.find((id, index) => seated.indexOf(id) !== index);
+    if (repeated) {
+      return res.status(400).json({
+        success: false,
+        message: `Player ${repeated} appears more than once in the round`
+      });
+    }
+
+    const nameOf = (id) => registrations.find(registration => registration._id.equals(id)).playerName;
+    const warnings = [
+      ...pairingWarnings({
+        players: registrations.map(toPlayer),
+        rounds: rounds.filter(item => item.number < round.number),
+        pairings
+      }),
+      // Knockout losers are out, so only Swiss and round-robin rounds seat everyone
+      ...(knockout ? [] : confirmedIds
+        .filter(id => !seated.includes(id))
+        .map(id => `${nameOf(id)} is neither paired nor given a bye`))
+    ];
+
+    const before = round.toJSON();
+    round.pairings = pairings;
+    round.byes = byes;
+    round.overriddenAt = new Date();
+    round.overriddenBy = req.user._id;
+    await round.save();
+
+    await recordAudit(req, { action: 'override-pairings', entityType: 'Tournament', entity: tournament, before, after: round });
+
+    res.json({
+      success: true,
+      message: `Round ${round.number} pairings updated`,
+      warnings,
+      data: await populatePlayers(Round.findById(round._id))
+    });
+  } catch (error) {
+    sendError(res, error, 'Updating pairings');
+  }
+});
+
+// @route   PATCH /api/tournaments/:tournamentId/rounds/:number/pairings/:pairingId/result
+// @desc    Record or clear a game result
+// @access  Private (tournaments:results)
+router.patch('/:number/pairings/:pairingId/result', [
+  auth,
+  requirePermission('tournaments:results'),
+  roundNumberValidation,
+  body('result')
+    .customSanitizer(result => (typeof result === 'string' ? RESULT_ALIASES[result.trim().toLowerCase()] || result.trim() : result))
+    .custom(result => result === null || GAME_RESULTS.includes(result))
+    .withMessage(`Result must be one of: ${GAME_RESULTS.join(', ')}, or null to clear it`),
+  body('advances')
+    .optional({ values: 'null' })
+    .isIn(COLOURS)
+    .withMessage(`Advances must be one of: ${COLOURS.join(', ')}`)
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const tournament = await Tournament.findById(req.params.tournamentId);
+
+    if (!tournament) {
+      return sendNotFound(res, 'Tournament not found');
+    }
+
+    if (sendIfFinished(res, tournament, 'change results of')) return;
+
+    const round = await Round.findOne({ tournament: tournament._id, number: req.params.number });
+    const pairing = round && round.pairings.id(req.params.pairingId);
+
+    if (!pairing) {
+      return sendNotFound(res, 'Pairing not found');
+    }
+
+    // Winners have already moved on in the bracket
+    if (tournament.format === 'knockout' && await Round.exists({ tournament: tournament._id, number: { $gt: round.number } })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Delete the later knockout rounds before changing this result'
+      });
+    }
+
+    // A drawn knockout game is decided by a playoff or armageddon game
+    const knockoutDraw = tournament.format === 'knockout' && req.body.result === '1/2-1/2';
+    if (knockoutDraw && !req.body.advances) {
+      return res.status(400).json({
+        success: false,
+        message: 'A drawn knockout game needs advances (white or black) from the playoff or armageddon game'
+      });
+    }
+
+    const before = round.toJSON();
+    pairing.result = req.body.result;
+    pairing.advances = knockoutDraw ? req.body.advances : null;
+    await round.save();
+
+    await recordAudit(req, { action: 'record-result', entityType: 'Tournament', entity: tournament, before, after: round });
+
+    res.json({
+      success: true,
+      message: 'Result recorded',
+      data: pairing
+    });
+  } catch (error) {
+    sendError(res, error, 'Recording result');
+  }
+});
+
+// @route   PATCH /api/tournaments/:tournamentId/rounds/:number/byes/:playerId
+// @desc    Change the kind of bye a player has in a round
+// @access  Private (tournaments:results)
+router.patch('/:number/byes/:playerId', [
+  auth,
+  requirePermission('tournaments:results'),
+  roundNumberValidation,
+  body('type')
+    .isIn(BYE_TYPES)
+    .withMessage(`Bye type must be one of: ${BYE_TYPES.join(', ')}`)
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const tournament = await Tournament.findById(req.params.tournamentId);
+
+    if (!tournament) {
+      return sendNotFound(res, 'Tournament not found');
+    }
+
+    if (sendIfFinished(res, tournament, 'change byes of')) return;
+
+    const round = await Round.findOne({ tournament: tournament._id, number: req.params.number });
+    const bye = round && round.byes.find(item => item.player.toString() === req.params.playerId);
+
+    if (!bye) {
+      return sendNotFound(res, 'Bye not found');
+    }
+
+    const before = round.toJSON();
+    bye.type = req.body.type;
+    await round.save();
+
+    await recordAudit(req, { action: 'record-result', entityType: 'Tournament', entity: tournament, before, after: round });
+
+    res.json({
+      success: true,
+      message: 'Bye updated',
+      data: bye
+    });
+  } catch (error) {
+    sendError(res, error, 'Updating bye');
+  }
+});
+
+// @route   DELETE /api/tournaments/:tournamentId/rounds/:number
+// @desc    Delete the latest round so it can be paired again
+// @access  Private (tournaments:results)
+router.delete('/:number', [auth, requirePermission('tournaments:results'), roundNumberValidation], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const tournament = await Tournament.findById(req.params.tournamentId);
+
+    if (!tournament) {
+      return sendNotFound(res, 'Tournament not found');
+    }
+
+    if (sendIfFinished(res, tournament, 'delete rounds of')) return;
+
+    const latest = await Round.findOne({ tournament: tournament._id }).sort({ number: -1 });
+
+    if (!latest || latest.number !== req.params.number) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only the latest round can be deleted'
+      });
+    }
+
+    if (latest.hasResults) {
+      return res.status(400).json({
+        success: false,
+        message: 'Clear the results of this round before deleting it'
+      });
+    }
+
+    if (await Game.exists({ tournament: tournament._id, round: latest.number })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Delete the games uploaded for this round before deleting it'
+      });
+    }
+
+    await latest.deleteOne();
+
+    await recordAudit(req, { action: 'delete-round', entityType: 'Tournament', entity: tournament, before: latest });
+
+    res.json({
+      success: true,
+      message: `Round ${latest.number} deleted`
+    });
+  } catch (error) {
+    sendError(res, error, 'Deleting round');
+  }
+});
+
+module.exports = router;
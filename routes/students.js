@@ -1,9 +1,25 @@
 const express = require('express');
+const fs = require('fs');
+const os = require('os');
 const multer = require('multer');
-const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
 const Student = require('../models/Student');
-const { auth, adminOnly } = require('../middleware/auth');
-const { uploadToCloudinary, deleteFromCloudinary, extractPublicId } = require('../config/cloudinary');
+const RatingEntry = require('../models/RatingEntry');
+const Revision = require('../models/Revision');
+const Tournament = require('../models/Tournament');
+const { RATING_TYPES, MIN_RATING, MAX_RATING } = require('../config/ratings');
+const { ACHIEVEMENT_TYPES } = require('../config/achievements');
+const { CONTENT_STATUSES, WORKFLOW_ACTIONS, LOCKED_STATUSES } = require('../config/workflow');
+const { auth, requirePermission, can } = require('../middleware/auth');
+const { uploadToCloudinary, deleteFromCloudinary } = require('../config/cloudinary');
+const { recordAudit, toPlain } = require('../utils/audit');
+const { importFideRatingList } = require('../utils/fideImport');
+const { purgeDate } = require('../utils/purgeTrash');
+const { recordRevision, applyRevision, deleteUnusedImages } = require('../utils/revisions');
+const { encodeCursor, decodeCursor, escapeRegex } = require('../utils/query');
+const { LISTS: FIDE_LISTS } = require('../utils/fideRatingList');
+const { studentsToCsv, readStudentCsv, recordToStudentData } = require('../utils/studentCsv');
 
 const router = express.Router();
 
@@ -24,6 +40,43 @@ const upload = multer({
   }
 });
 
+// FIDE rating lists are large, so they go to a temp file and are streamed
+const ratingListUpload = multer({
+  dest: os.tmpdir(),
+  limits: {
+    fileSize: 300 * 1024 * 1024, // 300MB limit (unzipped full list)
+  },
+  fileFilter: function (req, file, cb) {
+    if (/\.(txt|xml)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only unzipped FIDE .txt or .xml rating lists are allowed!'), false);
+    }
+  }
+});
+
+const csvUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB limit
+  },
+  fileFilter: function (req, file, cb) {
+    if (/\.csv$/i.test(file.originalname) || file.mimetype === 'text/csv') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV files are allowed!'), false);
+    }
+  }
+});
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Only changed through the workflow endpoints, never by create/update
+const WORKFLOW_FIELDS = ['status', 'publishAt', 'expiresAt', 'publishedAt', 'publishedBy', 'submittedAt', 'submittedBy', 'reviewNote'];
+
+// Only changed through delete and restore, which need students:delete
+const TRASH_FIELDS = ['deletedAt', 'deletedBy'];
+
 // Validation rules for student
 const studentValidation = [
   body('name')
@@ -34,21 +87,50 @@ const studentValidation = [
     .trim()
     .isLength({ min: 2, max: 100 })
     .withMessage('Title must be between 2 and 100 characters'),
-  body('rating')
-    .trim()
-    .notEmpty()
-    .withMessage('Rating is required'),
-  body('peakRating')
-    .trim()
-    .notEmpty()
-    .withMessage('Peak rating is required'),
+  body('ratings')
+    .optional()
+    .isObject()
+    .withMessage('Ratings must be an object')
+    .custom(ratings => Object.keys(ratings).every(type => RATING_TYPES.includes(type)))
+    .withMessage(`Rating types must be one of: ${RATING_TYPES.join(', ')}`),
+  body('ratings.*')
+    .optional({ values: 'falsy' })
+    .isInt({ min: MIN_RATING, max: MAX_RATING })
+    .withMessage(`Ratings must be whole numbers between ${MIN_RATING} and ${MAX_RATING}`),
   body('program')
     .trim()
     .isLength({ min: 2, max: 100 })
     .withMessage('Program must be between 2 and 100 characters'),
   body('achievements')
+    .customSanitizer(Student.normalizeAchievements)
     .isArray({ min: 1 })
     .withMessage('At least one achievement is required'),
+  body('achievements.*.title')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Each achievement needs a title of at most 200 characters'),
+  body('achievements.*.type')
+    .optional()
+    .isIn(ACHIEVEMENT_TYPES)
+    .withMessage(`Achievement type must be one of: ${ACHIEVEMENT_TYPES.join(', ')}`),
+  body('achievements.*.date')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Achievement date must be a valid date'),
+  body('achievements.*.placement')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1 })
+    .withMessage('Placement must be a positive whole number'),
+  body('achievements.*.tournament')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Invalid tournament ID')
+    .bail()
+    .custom(async (id) => {
+      if (!await Tournament.exists({ _id: id })) {
+        throw new Error('Tournament not found');
+      }
+    }),
   body('joinDate')
     .trim()
     .notEmpty()
@@ -70,23 +152,161 @@ const studentValidation = [
     .withMessage('Display order must be a non-negative integer')
 ];
 
+// Run studentValidation against a plain object, e.g. a CSV row. Sanitizers
+// are applied to `data` in place, in order, as they would be for a request.
+const validateStudentData = async (data) => {
+  const validationReq = { body: data };
+  for (const validation of studentValidation) {
+    await validation.run(validationReq);
+  }
+  return validationResult(validationReq).array().map(error => ({ field: error.path, message: error.msg }));
+};
+
+// Fields the public endpoints may return; `rating` and `peakRating` are
+// virtuals computed from the stored ratings
+const PUBLIC_FIELDS = [
+  'name', 'title', 'fideId', 'fideTitle', 'ratings', 'peakRatings', 'rating', 'peakRating',
+  'program', 'achievements', 'joinDate', 'testimonial', 'image', 'bio', 'featured', 'displayOrder'
+];
+const VIRTUAL_SOURCES = { rating: 'ratings', peakRating: 'peakRatings' };
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// ?fields=name,rating -> list of public fields (all of them by default)
+const parseFields = (fields) => (fields ? fields.split(',').map(field => field.trim()) : PUBLIC_FIELDS);
+
+// Columns to load for the requested fields, plus the sort keys used by cursors
+const projectionFor = (fields) =>
+  [...new Set([...fields.map(field => VIRTUAL_SOURCES[field] || field), 'displayOrder', 'createdAt'])].join(' ');
+
+// Include basic details of the tournaments achievements reference
+const populateAchievementTournaments = (studentQuery, fields = ['achievements']) => (fields.includes('achievements')
+  ? studentQuery.populate('achievements.tournament', 'name date location category')
+  : studentQuery);
+
+const toPublic = (student, fields) => {
+  const json = student.toJSON();
+  return { _id: json._id, ...Object.fromEntries(fields.map(field => [field, json[field]])) };
+};
+
+const fieldsValidation = query('fields')
+  .optional()
+  .custom(fields => parseFields(fields).every(field => PUBLIC_FIELDS.includes(field)))
+  .withMessage(`Fields must be a comma-separated list of: ${PUBLIC_FIELDS.join(', ')}`);
+
+// Students are shown by displayOrder, newest first within the same order;
+// the cursor is the position of the last student on the previous page
+const studentCursor = (student) => encodeCursor({
+  displayOrder: student.displayOrder,
+  createdAt: student.createdAt,
+  id: student._id
+});
+
+const readStudentCursor = (cursor) => {
+  const values = decodeCursor(cursor);
+  if (!values || typeof values.displayOrder !== 'number' || !mongoose.isValidObjectId(values.id)) return null;
+  const createdAt = new Date(values.createdAt);
+  return isNaN(createdAt) ? null : { ...values, createdAt };
+};
+
+const afterCursor = ({ displayOrder, createdAt, id }) => ({
+  $or: [
+    { displayOrder: { $gt: displayOrder } },
+    { displayOrder, createdAt: { $lt: createdAt } },
+    { displayOrder, createdAt, _id: { $lt: id } }
+  ]
+});
+
+const SHOWCASE_SORT = { displayOrder: 1, createdAt: -1, _id: -1 };
+
+const showcaseValidation = [
+  query('featured').optional().isBoolean().withMessage('featured must be true or false').toBoolean(),
+  query('program').optional().isString().withMessage('Program must be a single value').trim().isLength({ max: 100 }).withMessage('Program cannot exceed 100 characters'),
+  query('title').optional().isString().withMessage('Title must be a single value').trim().isLength({ max: 100 }).withMessage('Title cannot exceed 100 characters'),
+  query('search').optional().isString().withMessage('Search must be a single value').trim().isLength({ max: 100 }).withMessage('Search cannot exceed 100 characters'),
+  query('ratingType').optional().isString().withMessage('Rating type must be a single value').isIn(RATING_TYPES).withMessage(`Rating type must be one of: ${RATING_TYPES.join(', ')}`),
+  query(['minRating', 'maxRating'])
+    .optional()
+    .isInt({ min: MIN_RATING, max: MAX_RATING })
+    .withMessage(`Rating bounds must be whole numbers between ${MIN_RATING} and ${MAX_RATING}`),
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).withMessage(`Limit must be between 1 and ${MAX_PAGE_SIZE}`),
+  query('cursor').optional().custom(cursor => readStudentCursor(cursor) !== null).withMessage('Invalid cursor'),
+  fieldsValidation
+];
+
 // @route   GET /api/students
-// @desc    Get all active students (public)
+// @desc    Get currently published students with filters and cursor pagination (public)
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', showcaseValidation, async (req, res) => {
   try {
-    console.log('GET /api/students - Fetching active students...')
-    const students = await Student.find({ isActive: true })
-      .sort({ displayOrder: 1, createdAt: -1 })
-      .select('-__v');
-    
-    console.log('GET /api/students - Found students:', students.length)
-    console.log('GET /api/students - Students data:', students)
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { featured, program, title, search, ratingType, minRating, maxRating, cursor } = req.query;
+    const limit = parseInt(req.query.limit) || DEFAULT_PAGE_SIZE;
+    const fields = parseFields(req.query.fields);
+
+    const filter = Student.publishedFilter();
+
+    if (featured !== undefined) {
+      filter.featured = featured;
+    }
+
+    if (program) {
+      filter.program = { $regex: `^${escapeRegex(program)}$`, $options: 'i' };
+    }
+
+    if (title) {
+      filter.title = { $regex: `^${escapeRegex(title)}$`, $options: 'i' };
+    }
+
+    if (search) {
+      const pattern = { $regex: escapeRegex(search), $options: 'i' };
+      filter.$and.push({
+        $or: ['name', 'title', 'program', 'achievements.title', 'bio'].map(field => ({ [field]: pattern }))
+      });
+    }
+
+    if (minRating !== undefined || maxRating !== undefined) {
+      const range = {};
+      if (minRating !== undefined) range.$gte = parseInt(minRating);
+      if (maxRating !== undefined) range.$lte = parseInt(maxRating);
+
+      // Without a rating type, any pool in range matches
+      filter.$and.push(ratingType
+        ? { [`ratings.${ratingType}`]: range }
+        : { $or: RATING_TYPES.map(type => ({ [`ratings.${type}`]: range })) });
+    }
+
+    if (cursor) {
+      filter.$and.push(afterCursor(readStudentCursor(cursor)));
+    }
+
+    // One extra row tells us whether there is another page
+    const students = await populateAchievementTournaments(Student.find(filter)
+      .sort(SHOWCASE_SORT)
+      .limit(limit + 1)
+      .select(projectionFor(fields)), fields);
+
+    const hasMore = students.length > limit;
+    const page = students.slice(0, limit);
 
     res.json({
       success: true,
-      count: students.length,
-      data: students
+      count: page.length,
+      data: page.map(student => toPublic(student, fields)),
+      pagination: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? studentCursor(page[page.length - 1]) : null
+      }
     });
   } catch (error) {
     console.error('Get students error:', error);
@@ -97,16 +317,59 @@ router.get('/', async (req, res) => {
   }
 });
 
+// @route   GET /api/students/featured
+// @desc    Get featured published students for the carousel, in display order (public)
+// @access  Public
+router.get('/featured', [
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  fieldsValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const limit = parseInt(req.query.limit) || 10;
+    const fields = parseFields(req.query.fields);
+
+    const students = await populateAchievementTournaments(Student.find({ ...Student.publishedFilter(), featured: true })
+      .sort(SHOWCASE_SORT)
+      .limit(limit)
+      .select(projectionFor(fields)), fields);
+
+    res.json({
+      success: true,
+      count: students.length,
+      data: students.map(student => toPublic(student, fields))
+    });
+  } catch (error) {
+    console.error('Get featured students error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching featured students'
+    });
+  }
+});
+
 // @route   GET /api/students/admin
 // @desc    Get all students for admin (including inactive)
-// @access  Private (Admin only)
-router.get('/admin', [auth, adminOnly], async (req, res) => {
+// @access  Private (students:read)
+router.get('/admin', [auth, requirePermission('students:read')], async (req, res) => {
   try {
-    const { page = 1, limit = 10, search = '', status = 'all' } = req.query;
+    const { page = 1, limit = 10, search = '', status = 'all', workflow } = req.query;
 
     // Build query
     let query = {};
 
+    if (workflow && CONTENT_STATUSES.includes(workflow)) {
+      query.status = workflow;
+    }
+
     if (search) {
       query.$or = [
         { name: { $regex: search, $options: 'i' } },
@@ -145,12 +408,291 @@ router.get('/admin', [auth, adminOnly], async (req, res) => {
   }
 });
 
+// @route   GET /api/students/export
+// @desc    Export students as CSV (same columns as the import)
+// @access  Private (students:read)
+router.get('/export', [auth, requirePermission('students:read')], async (req, res) => {
+  try {
+    const { status = 'all' } = req.query;
+
+    const query = {};
+    if (status !== 'all') {
+      query.isActive = status === 'active';
+    }
+
+    const students = await Student.find(query).sort({ displayOrder: 1, createdAt: -1 });
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="students-${date}.csv"`);
+    res.send(studentsToCsv(students));
+  } catch (error) {
+    console.error('Export students error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting students'
+    });
+  }
+});
+
+// @route   POST /api/students/import
+// @desc    Create or update students from a CSV file; with dryRun, only validate
+// @access  Private (students:create, students:update)
+router.post('/import', [
+  auth,
+  requirePermission('students:create', 'students:update'),
+  csvUpload.single('file'),
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'CSV file is required'
+      });
+    }
+
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+    let csv;
+    try {
+      csv = readStudentCsv(req.file.buffer.toString('utf8'));
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: parseError.message
+      });
+    }
+
+    if (csv.records.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'CSV file has no student rows'
+      });
+    }
+
+    if (csv.records.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `CSV file cannot have more than ${MAX_IMPORT_ROWS} rows`
+      });
+    }
+
+    const ids = csv.records
+      .map(record => record.values.id)
+      .filter(id => id && mongoose.isValidObjectId(id));
+    const existingStudents = await Student.find({ _id: { $in: ids } });
+    const existingById = new Map(existingStudents.map(student => [student._id.toString(), student]));
+
+    // Validate every row before anything is written
+    const rows = [];
+    for (const record of csv.records) {
+      const { id, data, errors: fieldErrors } = recordToStudentData(record.values);
+      fieldErrors.push(...await validateStudentData(data));
+
+      let student = null;
+      let before = null;
+      if (id) {
+        student = existingById.get(id);
+        if (!student) {
+          fieldErrors.push({ field: 'id', message: 'No student with this ID' });
+        } else if (LOCKED_STATUSES.includes(student.status) && !can(req, 'students:publish')) {
+          fieldErrors.push({ field: 'id', message: `Student is ${student.status}; editing it requires students:publish` });
+        } else {
+          before = toPlain(student);
+        }
+      }
+
+      const ratings = data.ratings;
+      delete data.ratings;
+
+      if (fieldErrors.length === 0) {
+        if (student) {
+          // CSV only carries titles; keep the details of achievements still listed
+          const existing = new Map(student.achievements.map(achievement => [achievement.title, achievement.toObject()]));
+          data.achievements = data.achievements.map(achievement => existing.get(achievement.title) || achievement);
+          student.set(data);
+        } else {
+          student = new Student(data);
+        }
+
+        const validationError = student.validateSync();
+        if (validationError) {
+          fieldErrors.push(...Object.values(validationError.errors).map(err => ({
+            field: err.path,
+            message: err.message
+          })));
+        }
+      }
+
+      rows.push({
+        line: record.line,
+        action: id ? 'update' : 'create',
+        id: id || null,
+        name: data.name,
+        errors: fieldErrors,
+        student,
+        before,
+        ratings
+      });
+    }
+
+    const invalidRows = rows.filter(row => row.errors.length > 0);
+    const report = {
+      dryRun,
+      total: rows.length,
+      valid: rows.length - invalidRows.length,
+      invalid: invalidRows.length,
+      toCreate: rows.filter(row => row.action === 'create').length,
+      toUpdate: rows.filter(row => row.action === 'update').length,
+      unknownColumns: csv.unknownColumns,
+      rows: rows.map(({ line, action, id, name, errors: rowErrors }) => ({ line, action, id, name, errors: rowErrors }))
+    };
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        message: invalidRows.length > 0
+          ? `Dry run: ${invalidRows.length} of ${rows.length} rows have errors`
+          : `Dry run: all ${rows.length} rows are valid`,
+        data: report
+      });
+    }
+
+    if (invalidRows.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Import aborted: ${invalidRows.length} of ${rows.length} rows have errors`,
+        data: report
+      });
+    }
+
+    for (const row of rows) {
+      await row.student.save();
+      await row.student.recordRatings(row.ratings, { createdBy: req.user._id, note: 'CSV import' });
+      row.id = row.student._id;
+
+      await recordRevision(req, 'Student', row.student, { action: 'import', before: row.before });
+
+      await recordAudit(req, {
+        action: row.action,
+        entityType: 'Student',
+        entity: row.student,
+        before: row.before,
+        after: row.student
+      });
+    }
+
+    report.rows = rows.map(({ line, action, id, name }) => ({ line, action, id, name, errors: [] }));
+
+    res.json({
+      success: true,
+      message: `Imported ${rows.length} students (${report.toCreate} created, ${report.toUpdate} updated)`,
+      data: report
+    });
+  } catch (error) {
+    console.error('Import students error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while importing students'
+    });
+  }
+});
+
+// @route   GET /api/students/trash
+// @desc    List students in the trash
+// @access  Private (students:delete)
+router.get('/trash', [auth, requirePermission('students:delete')], async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const query = Student.trashFilter();
+
+    const [students, total] = await Promise.all([
+      Student.find(query)
+        .populate('deletedBy', 'name email')
+        .sort({ deletedAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit)
+        .select('-__v'),
+      Student.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      count: students.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      data: students.map(student => ({ ...student.toJSON(), purgeAt: purgeDate(student.deletedAt) }))
+    });
+  } catch (error) {
+    console.error('Get student trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching trash'
+    });
+  }
+});
+
+// @route   GET /api/students/admin/:id
+// @desc    Get single student in any workflow state
+// @access  Private (students:read)
+router.get('/admin/:id', [auth, requirePermission('students:read')], async (req, res) => {
+  try {
+    const student = await populateAchievementTournaments(Student.findById(req.params.id).select('-__v'));
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: student
+    });
+  } catch (error) {
+    console.error('Get admin student error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid student ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching student'
+    });
+  }
+});
+
 // @route   GET /api/students/:id
-// @desc    Get single student
+// @desc    Get single published student
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id', [fieldsValidation], async (req, res) => {
   try {
-    const student = await Student.findById(req.params.id).select('-__v');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const fields = parseFields(req.query.fields);
+    const student = await populateAchievementTournaments(Student.findOne({ _id: req.params.id, ...Student.publishedFilter() })
+      .select(projectionFor(fields)), fields);
 
     if (!student) {
       return res.status(404).json({
@@ -161,7 +703,7 @@ router.get('/:id', async (req, res) => {
 
     res.json({
       success: true,
-      data: student
+      data: toPublic(student, fields)
     });
   } catch (error) {
     console.error('Get student error:', error);
@@ -183,28 +725,45 @@ router.get('/:id', async (req, res) => {
 
 // @route   POST /api/students
 // @desc    Create new student
-// @access  Private (Admin only)
+// @access  Private (students:create)
 // Middleware to handle FormData arrays
 const handleFormDataArrays = (req, res, next) => {
-  // Convert achievements[0], achievements[1], etc. back to array
+  // Convert achievements[0], achievements[1], etc. back to array; structured
+  // achievements come as achievements[0][title], achievements[0][type], ...
   const achievements = [];
+  // Convert ratings[classical], ratings[rapid], etc. back to an object
+  const ratings = {};
   Object.keys(req.body).forEach(key => {
-    const match = key.match(/^achievements\[(\d+)\]$/);
+    const match = key.match(/^achievements\[(\d+)\](?:\[(\w+)\])?$/);
     if (match) {
       const index = parseInt(match[1]);
-      achievements[index] = req.body[key];
+      if (match[2]) {
+        achievements[index] = { ...achievements[index], [match[2]]: req.body[key] };
+      } else {
+        achievements[index] = req.body[key];
+      }
       delete req.body[key]; // Remove the indexed version
     }
+
+    const ratingMatch = key.match(/^ratings\[(\w+)\]$/);
+    if (ratingMatch) {
+      ratings[ratingMatch[1]] = req.body[key];
+      delete req.body[key];
+    }
   });
   
   if (achievements.length > 0) {
     req.body.achievements = achievements.filter(item => item !== undefined);
   }
+
+  if (Object.keys(ratings).length > 0) {
+    req.body.ratings = ratings;
+  }
   
   next();
 };
 
-router.post('/', [auth, adminOnly, upload.single('image'), handleFormDataArrays, ...studentValidation], async (req, res) => {
+router.post('/', [auth, requirePermission('students:create'), upload.single('image'), handleFormDataArrays, ...studentValidation], async (req, res) => {
   console.log('POST /api/students route hit');
   try {
     console.log('Received student data:', req.body);
@@ -223,6 +782,13 @@ router.post('/', [auth, adminOnly, upload.single('image'), handleFormDataArrays,
 
     const studentData = req.body;
     let cloudinaryResult = null;
+
+    // Ratings go through the rating history rather than being set directly
+    const ratings = studentData.ratings;
+    delete studentData.ratings;
+    delete studentData.peakRatings;
+    WORKFLOW_FIELDS.forEach(field => delete studentData[field]);
+    TRASH_FIELDS.forEach(field => delete studentData[field]);
     
     // Upload image to Cloudinary if uploaded
     if (req.file) {
@@ -248,6 +814,11 @@ router.post('/', [auth, adminOnly, upload.single('image'), handleFormDataArrays,
     await student.save();
     console.log('Student saved successfully:', student._id);
 
+    await student.recordRatings(ratings, { createdBy: req.user._id });
+
+    await recordRevision(req, 'Student', student, { action: 'create' });
+    await recordAudit(req, { action: 'create', entityType: 'Student', entity: student, after: student });
+
     res.status(201).json({
       success: true,
       message: 'Student created successfully',
@@ -286,8 +857,8 @@ router.post('/', [auth, adminOnly, upload.single('image'), handleFormDataArrays,
 
 // @route   PUT /api/students/:id
 // @desc    Update student
-// @access  Private (Admin only)
-router.put('/:id', [auth, adminOnly, upload.single('image'), handleFormDataArrays, ...studentValidation], async (req, res) => {
+// @access  Private (students:update)
+router.put('/:id', [auth, requirePermission('students:update'), upload.single('image'), handleFormDataArrays, ...studentValidation], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -300,9 +871,14 @@ router.put('/:id', [auth, adminOnly, upload.single('image'), handleFormDataArray
 
     const updateData = req.body;
     let cloudinaryResult = null;
-    let oldImagePublicId = null;
+
+    // Ratings go through the rating history rather than being set directly
+    const ratings = updateData.ratings;
+    delete updateData.ratings;
+    delete updateData.peakRatings;
+    WORKFLOW_FIELDS.forEach(field => delete updateData[field]);
+    TRASH_FIELDS.forEach(field => delete updateData[field]);
     
-    // Get existing student to check for old image
     const existingStudent = await Student.findById(req.params.id);
     if (!existingStudent) {
       return res.status(404).json({
@@ -310,6 +886,14 @@ router.put('/:id', [auth, adminOnly, upload.single('image'), handleFormDataArray
         message: 'Student not found'
       });
     }
+
+    // Published content goes live as soon as it is saved
+    if (LOCKED_STATUSES.includes(existingStudent.status) && !can(req, 'students:publish')) {
+      return res.status(403).json({
+        success: false,
+        message: `Student is ${existingStudent.status}; editing it requires students:publish. Unpublish it first or ask a publisher.`
+      });
+    }
     
     // Upload new image to Cloudinary if uploaded
     if (req.file) {
@@ -321,11 +905,6 @@ router.put('/:id', [auth, adminOnly, upload.single('image'), handleFormDataArray
         cloudinaryResult = await uploadToCloudinary(req.file.buffer, 'students', publicId);
         updateData.image = cloudinaryResult.secure_url;
         console.log('New image uploaded to Cloudinary:', cloudinaryResult.secure_url);
-        
-        // Extract old image public ID for cleanup
-        if (existingStudent.image) {
-          oldImagePublicId = extractPublicId(existingStudent.image);
-        }
       } catch (uploadError) {
         console.error('Cloudinary upload error:', uploadError);
         return res.status(500).json({
@@ -341,17 +920,23 @@ router.put('/:id', [auth, adminOnly, upload.single('image'), handleFormDataArray
       { new: true, runValidators: true }
     );
 
-    // Clean up old image from Cloudinary after successful update
-    if (oldImagePublicId && cloudinaryResult) {
-      try {
-        await deleteFromCloudinary(oldImagePublicId);
-        console.log('Old image deleted from Cloudinary');
-      } catch (deleteError) {
-        console.error('Failed to delete old image from Cloudinary:', deleteError);
-        // Don't fail the request for cleanup errors
-      }
+    await student.recordRatings(ratings, { createdBy: req.user._id });
+
+    await recordRevision(req, 'Student', student, { before: existingStudent });
+
+    // The old image stays while a kept revision still shows it
+    if (cloudinaryResult) {
+      await deleteUnusedImages('Student', student, [existingStudent.image]);
     }
 
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'Student',
+      entity: student,
+      before: existingStudent,
+      after: student
+    });
+
     res.json({
       success: true,
       message: 'Student updated successfully',
@@ -396,8 +981,8 @@ router.put('/:id', [auth, adminOnly, upload.single('image'), handleFormDataArray
 
 // @route   PATCH /api/students/:id/toggle-status
 // @desc    Toggle student active status
-// @access  Private (Admin only)
-router.patch('/:id/toggle-status', [auth, adminOnly], async (req, res) => {
+// @access  Private (students:update)
+router.patch('/:id/toggle-status', [auth, requirePermission('students:update')], async (req, res) => {
   try {
     const student = await Student.findById(req.params.id);
 
@@ -408,9 +993,19 @@ router.patch('/:id/toggle-status', [auth, adminOnly], async (req, res) => {
       });
     }
 
+    if (LOCKED_STATUSES.includes(student.status) && !can(req, 'students:publish')) {
+      return res.status(403).json({
+        success: false,
+        message: `Student is ${student.status}; changing it requires students:publish`
+      });
+    }
+
+    const before = toPlain(student);
     student.isActive = !student.isActive;
     await student.save();
 
+    await recordAudit(req, { action: 'toggle', entityType: 'Student', entity: student, before, after: student });
+
     res.json({
       success: true,
       message: `Student ${student.isActive ? 'activated' : 'deactivated'} successfully`,
@@ -431,11 +1026,20 @@ router.patch('/:id/toggle-status', [auth, adminOnly], async (req, res) => {
   }
 });
 
-// @route   DELETE /api/students/:id
-// @desc    Delete student
-// @access  Private (Admin only)
-router.delete('/:id', [auth, adminOnly], async (req, res) => {
+// Shared handler for the workflow transitions in config/workflow.js
+const workflowTransition = (action) => async (req, res) => {
+  const transition = WORKFLOW_ACTIONS[action];
+
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const student = await Student.findById(req.params.id);
 
     if (!student) {
@@ -445,26 +1049,135 @@ router.delete('/:id', [auth, adminOnly], async (req, res) => {
       });
     }
 
-    // Delete image from Cloudinary if it exists
-    if (student.image) {
-      const publicId = extractPublicId(student.image);
-      if (publicId) {
-        try {
-          await deleteFromCloudinary(publicId);
-          console.log('Student image deleted from Cloudinary');
-        } catch (deleteError) {
-          console.error('Failed to delete image from Cloudinary:', deleteError);
-          // Don't fail the request for cleanup errors
-        }
-      }
+    if (!transition.from.includes(student.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot ${action} a student that is ${student.status}`
+      });
     }
 
-    // Delete student from database
-    await Student.findByIdAndDelete(req.params.id);
+    const before = toPlain(student);
+    const now = new Date();
+    student.status = transition.to;
+
+    if (action === 'submit') {
+      student.submittedAt = now;
+      student.submittedBy = req.user._id;
+      student.reviewNote = null;
+    } else if (action === 'reject') {
+      student.reviewNote = req.body.note || null;
+    } else if (action === 'publish') {
+      student.publishAt = req.body.publishAt ? new Date(req.body.publishAt) : null;
+      student.expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : null;
+      student.publishedAt = now;
+      student.publishedBy = req.user._id;
+      student.reviewNote = null;
+    }
+
+    await student.save();
+
+    await recordAudit(req, { action, entityType: 'Student', entity: student, before, after: student });
+
+    let message = `Student moved to ${student.status}`;
+    if (action === 'publish') {
+      message = student.publishAt && student.publishAt > now
+        ? `Student scheduled to publish at ${student.publishAt.toISOString()}`
+        : 'Student published successfully';
+    }
 
     res.json({
       success: true,
-      message: 'Student deleted successfully'
+      message,
+      data: student
+    });
+  } catch (error) {
+    console.error(`Student ${action} error:`, error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid student ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating student workflow'
+    });
+  }
+};
+
+// @route   PATCH /api/students/:id/submit
+// @desc    Submit a draft for review
+// @access  Private (students:update)
+router.patch('/:id/submit', [auth, requirePermission('students:update')], workflowTransition('submit'));
+
+// @route   PATCH /api/students/:id/reject
+// @desc    Send a submission back to draft with an optional note
+// @access  Private (students:publish)
+router.patch('/:id/reject', [
+  auth,
+  requirePermission('students:publish'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], workflowTransition('reject'));
+
+// @route   PATCH /api/students/:id/publish
+// @desc    Publish now or at publishAt, optionally until expiresAt
+// @access  Private (students:publish)
+router.patch('/:id/publish', [
+  auth,
+  requirePermission('students:publish'),
+  body('publishAt').optional({ values: 'falsy' }).isISO8601().withMessage('publishAt must be a valid date'),
+  body('expiresAt')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('expiresAt must be a valid date')
+    .custom((expiresAt, { req }) => {
+      const start = req.body.publishAt ? new Date(req.body.publishAt) : new Date();
+      return new Date(expiresAt) > start;
+    })
+    .withMessage('expiresAt must be after the publish time')
+], workflowTransition('publish'));
+
+// @route   PATCH /api/students/:id/unpublish
+// @desc    Take a published student back to draft
+// @access  Private (students:publish)
+router.patch('/:id/unpublish', [auth, requirePermission('students:publish')], workflowTransition('unpublish'));
+
+// @route   PATCH /api/students/:id/archive
+// @desc    Archive a student
+// @access  Private (students:publish)
+router.patch('/:id/archive', [auth, requirePermission('students:publish')], workflowTransition('archive'));
+
+// @route   PATCH /api/students/:id/reopen
+// @desc    Move an archived student back to draft
+// @access  Private (students:update)
+router.patch('/:id/reopen', [auth, requirePermission('students:update')], workflowTransition('reopen'));
+
+// @route   DELETE /api/students/:id
+// @desc    Move student to the trash
+// @access  Private (students:delete)
+router.delete('/:id', [auth, requirePermission('students:delete')], async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id);
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    // The image and rating history are kept until the trash is purged
+    const before = toPlain(student);
+    await student.softDelete(req.user._id);
+
+    await recordAudit(req, { action: 'delete', entityType: 'Student', entity: student, before, after: student });
+
+    res.json({
+      success: true,
+      message: 'Student moved to trash',
+      data: {
+        purgeAt: purgeDate(student.deletedAt)
+      }
     });
   } catch (error) {
     console.error('Delete student error:', error);
@@ -481,10 +1194,49 @@ router.delete('/:id', [auth, adminOnly], async (req, res) => {
   }
 });
 
+// @route   PATCH /api/students/:id/restore
+// @desc    Restore a student from the trash
+// @access  Private (students:delete)
+router.patch('/:id/restore', [auth, requirePermission('students:delete')], async (req, res) => {
+  try {
+    const student = await Student.findOne(Student.trashFilter({ _id: req.params.id }));
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found in trash'
+      });
+    }
+
+    const before = toPlain(student);
+    await student.restore();
+
+    await recordAudit(req, { action: 'restore', entityType: 'Student', entity: student, before, after: student });
+
+    res.json({
+      success: true,
+      message: 'Student restored successfully',
+      data: student
+    });
+  } catch (error) {
+    console.error('Restore student error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid student ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while restoring student'
+    });
+  }
+});
+
 // @route   PATCH /api/students/reorder
 // @desc    Reorder students
-// @access  Private (Admin only)
-router.patch('/reorder', [auth, adminOnly], async (req, res) => {
+// @access  Private (students:update)
+router.patch('/reorder', [auth, requirePermission('students:update')], async (req, res) => {
   try {
     const { studentIds } = req.body;
 
@@ -495,6 +1247,16 @@ router.patch('/reorder', [auth, adminOnly], async (req, res) => {
       });
     }
 
+    const previous = await Student.find({ _id: { $in: studentIds } }).select('displayOrder status');
+
+    const locked = previous.find(student => LOCKED_STATUSES.includes(student.status));
+    if (locked && !can(req, 'students:publish')) {
+      return res.status(403).json({
+        success: false,
+        message: `Student ${locked._id} is ${locked.status}; reordering it requires students:publish`
+      });
+    }
+
     // Update display order for each student
     const updatePromises = studentIds.map((id, index) =>
       Student.findByIdAndUpdate(id, { displayOrder: index })
@@ -502,6 +1264,14 @@ router.patch('/reorder', [auth, adminOnly], async (req, res) => {
 
     await Promise.all(updatePromises);
 
+    await recordAudit(req, {
+      action: 'reorder',
+      entityType: 'Student',
+      entityLabel: `${studentIds.length} students`,
+      before: Object.fromEntries(previous.map(student => [student._id.toString(), student.displayOrder])),
+      after: Object.fromEntries(studentIds.map((id, index) => [String(id), index]))
+    });
+
     res.json({
       success: true,
       message: 'Students reordered successfully'
@@ -515,4 +1285,454 @@ router.patch('/reorder', [auth, adminOnly], async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// @route   POST /api/students/import/fide
+// @desc    Update ratings and titles from a FIDE rating list, matched by FIDE ID
+// @access  Private (students:update)
+router.post('/import/fide', [
+  auth,
+  requirePermission('students:update'),
+  ratingListUpload.single('file'),
+  body('list').optional().isIn(FIDE_LISTS).withMessage(`List must be one of: ${FIDE_LISTS.join(', ')}`),
+  body('period').optional({ checkFalsy: true }).matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('Period must be in YYYY-MM format'),
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rating list file is required'
+      });
+    }
+
+    // Fall back to the list named in the download's file name, e.g. rapid_sep24frl.txt
+    const fileHint = FIDE_LISTS.find(list => req.file.originalname.toLowerCase().startsWith(list));
+    const list = req.body.list || fileHint || 'standard';
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+    const report = await importFideRatingList(req.file.path, {
+      list,
+      period: req.body.period ? new Date(`${req.body.period}-01T00:00:00Z`) : undefined,
+      dryRun,
+      // Like manual rating changes, published students need students:publish
+      skipLocked: !can(req, 'students:publish'),
+      createdBy: req.user._id
+    });
+
+    if (!dryRun && report.changed.length > 0) {
+      await recordAudit(req, {
+        action: 'fide-import',
+        entityType: 'Student',
+        entityLabel: `FIDE ${list} list: ${report.changed.length} students updated`,
+        after: {
+          list,
+          period: report.period,
+          file: req.file.originalname,
+          changed: report.changed.map(item => ({ id: item.id, name: item.name, changes: item.changes }))
+        }
+      });
+    }
+
+    const skipped = report.skipped.length > 0
+      ? `; ${report.skipped.length} published or archived students skipped`
+      : '';
+
+    res.json({
+      success: true,
+      message: dryRun
+        ? `Dry run: ${report.changed.length} students would be updated${skipped}`
+        : `${report.changed.length} students updated${skipped}`,
+      data: report
+    });
+  } catch (error) {
+    console.error('FIDE import error:', error);
+    if (/^(Unrecognised|Rating list file is empty|List must be)/.test(error.message)) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while importing FIDE ratings'
+    });
+  } finally {
+    if (req.file) {
+      fs.promises.unlink(req.file.path).catch(() => {});
+    }
+  }
+});
+
+// @route   GET /api/students/:id/ratings
+// @desc    Get a student's rating timeline
+// @access  Public
+router.get('/:id/ratings', async (req, res) => {
+  try {
+    const { type } = req.query;
+
+    if (type && !RATING_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Rating type must be one of: ${RATING_TYPES.join(', ')}`
+      });
+    }
+
+    const student = await Student.findOne({ _id: req.params.id, ...Student.publishedFilter() })
+      .select('name ratings peakRatings');
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    const query = { student: student._id };
+    if (type) {
+      query.type = type;
+    }
+
+    const entries = await RatingEntry.find(query)
+      .sort({ date: 1, createdAt: 1 })
+      .select('type rating date source note');
+
+    res.json({
+      success: true,
+      data: {
+        ratings: student.ratings,
+        peakRatings: student.peakRatings,
+        history: entries
+      }
+    });
+  } catch (error) {
+    console.error('Get rating history error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid student ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching rating history'
+    });
+  }
+});
+
+// @route   POST /api/students/:id/ratings
+// @desc    Append a rating history entry
+// @access  Private (students:update)
+router.post('/:id/ratings', [
+  auth,
+  requirePermission('students:update'),
+  body('type')
+    .isIn(RATING_TYPES)
+    .withMessage(`Rating type must be one of: ${RATING_TYPES.join(', ')}`),
+  body('rating')
+    .isInt({ min: MIN_RATING, max: MAX_RATING })
+    .withMessage(`Rating must be a whole number between ${MIN_RATING} and ${MAX_RATING}`),
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date must be a valid date'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Note must not exceed 200 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const student = await Student.findById(req.params.id);
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    if (LOCKED_STATUSES.includes(student.status) && !can(req, 'students:publish')) {
+      return res.status(403).json({
+        success: false,
+        message: `Student is ${student.status}; changing its ratings requires students:publish`
+      });
+    }
+
+    const before = toPlain(student);
+    const { type, rating, date, note } = req.body;
+
+    const entry = await RatingEntry.create({
+      student: student._id,
+      type,
+      rating: parseInt(rating),
+      date: date ? new Date(date) : new Date(),
+      note,
+      createdBy: req.user._id
+    });
+    await student.syncRatings();
+
+    await recordAudit(req, { action: 'add-rating', entityType: 'Student', entity: student, before, after: student });
+
+    res.status(201).json({
+      success: true,
+      message: 'Rating entry added successfully',
+      data: {
+        entry,
+        ratings: student.ratings,
+        peakRatings: student.peakRatings
+      }
+    });
+  } catch (error) {
+    console.error('Add rating entry error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid student ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding rating entry'
+    });
+  }
+});
+
+// @route   DELETE /api/students/:id/ratings/:entryId
+// @desc    Remove a mistaken rating history entry
+// @access  Private (students:update)
+router.delete('/:id/ratings/:entryId', [auth, requirePermission('students:update')], async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id);
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    if (LOCKED_STATUSES.includes(student.status) && !can(req, 'students:publish')) {
+      return res.status(403).json({
+        success: false,
+        message: `Student is ${student.status}; changing its ratings requires students:publish`
+      });
+    }
+
+    const entry = await RatingEntry.findOneAndDelete({ _id: req.params.entryId, student: student._id });
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rating entry not found'
+      });
+    }
+
+    const before = toPlain(student);
+    await student.syncRatings();
+
+    await recordAudit(req, { action: 'remove-rating', entityType: 'Student', entity: student, before, after: student });
+
+    res.json({
+      success: true,
+      message: 'Rating entry removed successfully',
+      data: {
+        ratings: student.ratings,
+        peakRatings: student.peakRatings
+      }
+    });
+  } catch (error) {
+    console.error('Remove rating entry error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing rating entry'
+    });
+  }
+});
+
+// @route   GET /api/students/:id/revisions
+// @desc    List a student's revisions with field-level changes, newest first
+// @access  Private (students:read)
+router.get('/:id/revisions', [auth, requirePermission('students:read')], async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const student = await Student.findById(req.params.id);
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    const query = { entityType: 'Student', entityId: student._id };
+    const [revisions, total] = await Promise.all([
+      Revision.find(query)
+        .select('-snapshot')
+        .sort({ version: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      Revision.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      count: revisions.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      data: revisions
+    });
+  } catch (error) {
+    console.error('Get student revisions error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid student ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching revisions'
+    });
+  }
+});
+
+// @route   GET /api/students/:id/revisions/:version
+// @desc    Get one revision including the full snapshot
+// @access  Private (students:read)
+router.get('/:id/revisions/:version', [auth, requirePermission('students:read')], async (req, res) => {
+  try {
+    const revision = await Revision.findOne({
+      entityType: 'Student',
+      entityId: req.params.id,
+      version: parseInt(req.params.version)
+    });
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: revision
+    });
+  } catch (error) {
+    console.error('Get student revision error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid student ID or version'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching revision'
+    });
+  }
+});
+
+// @route   POST /api/students/:id/revisions/:version/rollback
+// @desc    Restore a student's content to an earlier revision
+// @access  Private (students:update)
+router.post('/:id/revisions/:version/rollback', [auth, requirePermission('students:update')], async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id);
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    if (LOCKED_STATUSES.includes(student.status) && !can(req, 'students:publish')) {
+      return res.status(403).json({
+        success: false,
+        message: `Student is ${student.status}; rolling it back requires students:publish`
+      });
+    }
+
+    const revision = await Revision.findOne({
+      entityType: 'Student',
+      entityId: student._id,
+      version: parseInt(req.params.version)
+    });
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    const before = toPlain(student);
+    applyRevision(student, revision);
+    await student.save();
+
+    const newRevision = await recordRevision(req, 'Student', student, {
+      action: 'rollback',
+      before,
+      restoredVersion: revision.version
+    });
+
+    await recordAudit(req, { action: 'rollback', entityType: 'Student', entity: student, before, after: student });
+
+    res.json({
+      success: true,
+      message: newRevision
+        ? `Student rolled back to version ${revision.version}`
+        : `Student already matches version ${revision.version}`,
+      data: student
+    });
+  } catch (error) {
+    console.error('Rollback student error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid student ID or version'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Database validation failed',
+        errors: Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rolling back student'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,21 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const multer = require('multer');
 const Tournament = require('../models/Tournament');
-const { auth, adminOnly } = require('../middleware/auth');
-const { uploadToCloudinary, deleteFromCloudinary, extractPublicId } = require('../config/cloudinary');
+const Revision = require('../models/Revision');
+const Student = require('../models/Student');
+const Registration = require('../models/Registration');
+const Round = require('../models/Round');
+const { auth, requirePermission } = require('../middleware/auth');
+const { uploadToCloudinary, deleteFromCloudinary } = require('../config/cloudinary');
+const { recordAudit, toPlain } = require('../utils/audit');
+const { purgeDate } = require('../utils/purgeTrash');
+const { recordRevision, applyRevision, deleteUnusedImages } = require('../utils/revisions');
+const { notifyPromotions } = require('../utils/registrationMail');
+const { TOURNAMENT_FORMATS, TIEBREAKS } = require('../config/pairing');
+const { computeStandings } = require('../utils/standings');
+const { buildTrf } = require('../utils/trf');
+const { buildCalendar } = require('../utils/ical');
 
 const router = express.Router();
 
@@ -24,6 +36,55 @@ const upload = multer({
   }
 });
 
+// Never set by create/update: participants are counted from registrations
+// (native) or set through /participants (external), trashing needs
+// tournaments:delete, results come from /complete (tournaments:results) and
+// delistedAt from the status job
+const PROTECTED_FIELDS = [
+  'currentParticipants', 'deletedAt', 'deletedBy',
+  'winner', 'finalParticipants', 'finalStandings', 'delistedAt'
+];
+
+// Live standings of a paired tournament: confirmed players plus anyone who
+// played before withdrawing. `tiebreaks` overrides the tournament's own.
+const standingsFor = async (tournament, tiebreaks = tournament.tiebreaks) => {
+  const rounds = await Round.find({ tournament: tournament._id }).sort({ number: 1 });
+  const seated = new Set(rounds.flatMap(round => [
+    ...round.pairings.flatMap(pairing => [pairing.white.toString(), pairing.black.toString()]),
+    ...round.byes.map(bye => bye.player.toString())
+  ]));
+
+  const registrations = (await Registration.find({ tournament: tournament._id }))
+    .filter(registration => registration.status === 'confirmed' || seated.has(registration._id.toString()));
+
+  const standings = computeStandings({
+    players: registrations.map(registration => ({
+      id: registration._id,
+      name: registration.playerName,
+      rating: registration.rating,
+      fideId: registration.fideId,
+      section: registration.section
+    })),
+    rounds,
+    format: tournament.format,
+    tiebreaks
+  });
+
+  return {
+    rounds,
+    standings: standings.map(({ player, ...row }) => ({
+      ...row,
+      player: {
+        _id: player.id,
+        playerName: player.name,
+        rating: player.rating,
+        fideId: player.fideId,
+        section: player.section
+      }
+    }))
+  };
+};
+
 // Validation rules for tournament
 const tournamentValidation = [
   body('name')
@@ -33,6 +94,12 @@ const tournamentValidation = [
   body('date')
     .notEmpty()
     .withMessage('Date is required'),
+  body('endDate')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('End date must be a valid date')
+    .custom((endDate, { req }) => !req.body.date || new Date(endDate) >= new Date(req.body.date))
+    .withMessage('End date cannot be before the start date'),
   body('time')
     .trim()
     .notEmpty()
@@ -57,58 +124,100 @@ const tournamentValidation = [
     .isInt({ min: 1, max: 1000 })
     .withMessage('Maximum participants must be between 1 and 1000'),
   body('format')
+    .isIn(TOURNAMENT_FORMATS)
+    .withMessage(`Format must be one of: ${TOURNAMENT_FORMATS.join(', ')}`),
+  body('formatNotes')
+    .optional()
     .trim()
-    .isLength({ min: 1, max: 100 })
-    .withMessage('Format is required and must not exceed 100 characters'),
+    .isLength({ max: 100 })
+    .withMessage('Format notes must not exceed 100 characters'),
   body('timeControl')
     .trim()
     .isLength({ min: 1, max: 100 })
     .withMessage('Time control is required and must not exceed 100 characters'),
+  body('tiebreaks')
+    .optional()
+    // FormData sends a comma-separated string
+    .customSanitizer(tiebreaks => (typeof tiebreaks === 'string'
+      ? tiebreaks.split(',').map(tiebreak => tiebreak.trim()).filter(Boolean)
+      : tiebreaks))
+    .isArray()
+    .withMessage('Tiebreaks must be a list')
+    .custom(tiebreaks => new Set(tiebreaks).size === tiebreaks.length)
+    .withMessage('Tiebreaks must not repeat'),
+  body('tiebreaks.*')
+    .isIn(TIEBREAKS)
+    .withMessage(`Tiebreaks must be from: ${TIEBREAKS.join(', ')}`),
+  body('totalRounds')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Total rounds must be between 1 and 50'),
   body('category')
     .isIn(['Open Tournament', 'Youth (Under 18)', 'Online Blitz', 'Rapid', 'Classical', 'Blitz'])
     .withMessage('Please select a valid category'),
+  body('registrationMode')
+    .optional()
+    .isIn(['external', 'native'])
+    .withMessage('Registration mode must be external or native'),
   body('registrationLink')
+    .if(body('registrationMode').not().equals('native'))
     .trim()
     .notEmpty()
     .withMessage('Registration link is required'),
+  body('sections')
+    .optional()
+    // FormData sends a comma-separated string
+    .customSanitizer(sections => (typeof sections === 'string'
+      ? sections.split(',').map(section => section.trim()).filter(Boolean)
+      : sections))
+    .isArray({ max: 20 })
+    .withMessage('Sections must be a list of at most 20 names'),
+  body('sections.*')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Section names must be between 1 and 50 characters'),
+  body('registrationClosesAt')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Registration close time must be a valid date'),
   body('description')
     .trim()
     .isLength({ min: 1, max: 1000 })
     .withMessage('Description is required and must not exceed 1000 characters'),
   body('listUntil')
     .notEmpty()
-    .withMessage('List until date is required'),
-  body('currentParticipants')
-    .optional()
-    .isInt({ min: 0 })
-    .withMessage('Current participants must be a non-negative integer')
+    .withMessage('List until date is required')
 ];
 
+const categoryValidation = query('category')
+  .optional()
+  .isIn(Tournament.schema.path('category').enumValues)
+  .withMessage(`Category must be one of: ${Tournament.schema.path('category').enumValues.join(', ')}`);
+
 // @route   GET /api/tournaments
 // @desc    Get active tournaments (public)
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', [categoryValidation], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     console.log('GET /api/tournaments - Fetching upcoming tournaments...')
-    const now = new Date();
     
     // Get upcoming tournaments that are still listed
-    const tournaments = await Tournament.find({
-      isActive: true,
-      listUntil: { $gte: now },
-      status: { $in: ['upcoming', 'ongoing'] }
-    })
+    const tournaments = await Tournament.find(Tournament.listedFilter({ category: req.query.category }))
     .sort({ date: 1 })
     .select('-__v');
     
     console.log('GET /api/tournaments - Found tournaments:', tournaments.length)
     console.log('GET /api/tournaments - Tournaments data:', tournaments)
 
-    // Update tournament statuses
-    for (let tournament of tournaments) {
-      await tournament.updateStatus();
-    }
-
     res.json({
       success: true,
       count: tournaments.length,
@@ -123,6 +232,39 @@ router.get('/', async (req, res) => {
   }
 });
 
+// @route   GET /api/tournaments/calendar.ics
+// @desc    iCalendar feed of listed tournaments, including cancellations
+// @access  Public
+router.get('/calendar.ics', [categoryValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { category } = req.query;
+    const tournaments = await Tournament.find(Tournament.listedFilter({ category, includeCancelled: true }))
+      .sort({ date: 1 })
+      .select('-__v');
+
+    const name = category ? `Aspire Chess Academy Tournaments (${category})` : undefined;
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="tournaments.ics"');
+    res.send(buildCalendar(tournaments, { name }));
+  } catch (error) {
+    console.error('Get tournament calendar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building the tournament calendar'
+    });
+  }
+});
+
 // @route   GET /api/tournaments/past
 // @desc    Get past tournaments (public)
 // @access  Public
@@ -159,8 +301,8 @@ router.get('/past', async (req, res) => {
 
 // @route   GET /api/tournaments/admin
 // @desc    Get all tournaments for admin
-// @access  Private (Admin only)
-router.get('/admin', [auth, adminOnly], async (req, res) => {
+// @access  Private (tournaments:read)
+router.get('/admin', [auth, requirePermission('tournaments:read')], async (req, res) => {
   try {
     const { 
       page = 1, 
@@ -221,6 +363,250 @@ router.get('/admin', [auth, adminOnly], async (req, res) => {
   }
 });
 
+// @route   GET /api/tournaments/trash
+// @desc    List tournaments in the trash
+// @access  Private (tournaments:delete)
+router.get('/trash', [auth, requirePermission('tournaments:delete')], async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const query = Tournament.trashFilter();
+
+    const [tournaments, total] = await Promise.all([
+      Tournament.find(query)
+        .populate('deletedBy', 'name email')
+        .sort({ deletedAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit)
+        .select('-__v'),
+      Tournament.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      count: tournaments.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      data: tournaments.map(tournament => ({ ...tournament.toJSON(), purgeAt: purgeDate(tournament.deletedAt) }))
+    });
+  } catch (error) {
+    console.error('Get tournament trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching trash'
+    });
+  }
+});
+
+// @route   GET /api/tournaments/:id/standings
+// @desc    Live standings with tiebreaks
+// @access  Public
+router.get('/:id/standings', [
+  query('tiebreaks')
+    .optional()
+    .customSanitizer(tiebreaks => String(tiebreaks).split(',').map(tiebreak => tiebreak.trim()).filter(Boolean))
+    .custom(tiebreaks => tiebreaks.every(tiebreak => TIEBREAKS.includes(tiebreak)))
+    .withMessage(`Tiebreaks must be from: ${TIEBREAKS.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const tournament = await Tournament.findOne({ _id: req.params.id, isActive: true });
+
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tournament not found'
+      });
+    }
+
+    const tiebreaks = req.query.tiebreaks || tournament.tiebreaks;
+    const { rounds, standings } = await standingsFor(tournament, tiebreaks);
+
+    res.json({
+      success: true,
+      data: {
+        tournament: {
+          _id: tournament._id,
+          name: tournament.name,
+          format: tournament.format,
+          status: tournament.status
+        },
+        roundsPlayed: rounds.filter(round => round.hasResults).length,
+        tiebreaks: standings.length > 0 ? Object.keys(standings[0].tiebreaks) : tiebreaks,
+        standings
+      }
+    });
+  } catch (error) {
+    console.error('Get standings error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tournament ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching standings'
+    });
+  }
+});
+
+// @route   GET /api/tournaments/:id/trf
+// @desc    Export players and round-by-round results as a FIDE TRF16 report;
+//          with preview=true, return the report and its warnings as JSON
+// @access  Private (tournaments:read)
+router.get('/:id/trf', [
+  auth,
+  requirePermission('tournaments:read'),
+  query('federation')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z]{3}$/)
+    .withMessage('Federation must be a three-letter FIDE code'),
+  query('chiefArbiter')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Chief arbiter cannot exceed 100 characters'),
+  query('preview').optional().isBoolean().withMessage('preview must be true or false').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const tournament = await Tournament.findById(req.params.id);
+
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tournament not found'
+      });
+    }
+
+    const { rounds, standings } = await standingsFor(tournament);
+
+    if (rounds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A TRF report needs paired rounds'
+      });
+    }
+
+    const { text, warnings } = buildTrf({
+      tournament,
+      rounds,
+      standings: standings.map(({ player, ...row }) => ({
+        ...row,
+        player: { id: player._id, name: player.playerName, rating: player.rating, fideId: player.fideId }
+      })),
+      options: {
+        federation: req.query.federation,
+        chiefArbiter: req.query.chiefArbiter
+      }
+    });
+
+    if (req.query.preview) {
+      return res.json({
+        success: true,
+        data: {
+          warnings,
+          trf: text
+        }
+      });
+    }
+
+    const slug = tournament.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'tournament';
+    res.set('Content-Type', 'text/plain; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${slug}.trf"`);
+    res.send(text);
+  } catch (error) {
+    console.error('Export TRF error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tournament ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting TRF report'
+    });
+  }
+});
+
+// @route   GET /api/tournaments/:id/academy-results
+// @desc    Academy students with an achievement in this tournament, best placement first
+// @access  Public
+router.get('/:id/academy-results', async (req, res) => {
+  try {
+    const tournament = await Tournament.findById(req.params.id).select('name date');
+
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tournament not found'
+      });
+    }
+
+    const students = await Student.find({
+      ...Student.publishedFilter(),
+      'achievements.tournament': tournament._id
+    }).select('name title image achievements');
+
+    const results = [];
+    students.forEach(student => {
+      student.achievements
+        .filter(achievement => achievement.tournament && achievement.tournament.equals(tournament._id))
+        .forEach(achievement => results.push({
+          student: { _id: student._id, name: student.name, title: student.title, image: student.image },
+          achievement: achievement.title,
+          type: achievement.type,
+          placement: achievement.placement,
+          date: achievement.date
+        }));
+    });
+
+    // Unplaced achievements go last
+    results.sort((a, b) => (a.placement || Number.MAX_SAFE_INTEGER) - (b.placement || Number.MAX_SAFE_INTEGER));
+
+    res.json({
+      success: true,
+      count: results.length,
+      data: {
+        tournament,
+        results
+      }
+    });
+  } catch (error) {
+    console.error('Get tournament academy results error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tournament ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching academy results'
+    });
+  }
+});
+
 // @route   GET /api/tournaments/:id
 // @desc    Get single tournament
 // @access  Public
@@ -235,9 +621,6 @@ router.get('/:id', async (req, res) => {
       });
     }
 
-    // Update status
-    await tournament.updateStatus();
-
     res.json({
       success: true,
       data: tournament
@@ -261,8 +644,8 @@ router.get('/:id', async (req, res) => {
 
 // @route   POST /api/tournaments
 // @desc    Create new tournament
-// @access  Private (Admin only)
-router.post('/', [auth, adminOnly, upload.single('posterImage'), ...tournamentValidation], async (req, res) => {
+// @access  Private (tournaments:create)
+router.post('/', [auth, requirePermission('tournaments:create'), upload.single('posterImage'), ...tournamentValidation], async (req, res) => {
   console.log('POST /api/tournaments route hit');
   console.log('Received tournament data:', req.body);
   console.log('User creating tournament:', req.user.email, 'Role:', req.user.role);
@@ -278,6 +661,10 @@ router.post('/', [auth, adminOnly, upload.single('posterImage'), ...tournamentVa
 
     const tournamentData = req.body;
     let cloudinaryResult = null;
+
+    PROTECTED_FIELDS.forEach(field => delete tournamentData[field]);
+    // New tournaments start upcoming; the status job moves them on
+    delete tournamentData.status;
     
     // Upload poster image to Cloudinary if uploaded
     if (req.file) {
@@ -303,6 +690,9 @@ router.post('/', [auth, adminOnly, upload.single('posterImage'), ...tournamentVa
     await tournament.save();
     console.log('Tournament saved successfully:', tournament._id);
 
+    await recordRevision(req, 'Tournament', tournament, { action: 'create' });
+    await recordAudit(req, { action: 'create', entityType: 'Tournament', entity: tournament, after: tournament });
+
     res.status(201).json({
       success: true,
       message: 'Tournament created successfully',
@@ -328,8 +718,8 @@ router.post('/', [auth, adminOnly, upload.single('posterImage'), ...tournamentVa
 
 // @route   PUT /api/tournaments/:id
 // @desc    Update tournament
-// @access  Private (Admin only)
-router.put('/:id', [auth, adminOnly, upload.single('posterImage'), ...tournamentValidation], async (req, res) => {
+// @access  Private (tournaments:update)
+router.put('/:id', [auth, requirePermission('tournaments:update'), upload.single('posterImage'), ...tournamentValidation], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -351,7 +741,28 @@ router.put('/:id', [auth, adminOnly, upload.single('posterImage'), ...tournament
 
     const updateData = req.body;
     let cloudinaryResult = null;
-    let oldImagePublicId = null;
+
+    PROTECTED_FIELDS.forEach(field => delete updateData[field]);
+
+    // Apart from cancelling (and reinstating), status follows the clock or /complete
+    if (updateData.status !== undefined && updateData.status !== tournament.status) {
+      const cancelling = updateData.status === 'cancelled' && ['upcoming', 'ongoing'].includes(tournament.status);
+      const reinstating = tournament.status === 'cancelled' && updateData.status === 'upcoming';
+
+      if (!cancelling && !reinstating) {
+        return res.status(400).json({
+          success: false,
+          message: 'Status can only be changed here to cancel a tournament or reinstate a cancelled one; use PATCH /:id/complete to complete it'
+        });
+      }
+    }
+
+    if (updateData.format !== tournament.format && await Round.exists({ tournament: tournament._id })) {
+      return res.status(400).json({
+        success: false,
+        message: 'The format cannot change once rounds have been paired'
+      });
+    }
     
     // Handle poster image update
     if (req.file) {
@@ -363,11 +774,6 @@ router.put('/:id', [auth, adminOnly, upload.single('posterImage'), ...tournament
         cloudinaryResult = await uploadToCloudinary(req.file.buffer, 'posters', publicId);
         updateData.posterImage = cloudinaryResult.secure_url;
         console.log('New poster uploaded to Cloudinary:', cloudinaryResult.secure_url);
-        
-        // Extract old image public ID for cleanup
-        if (tournament.posterImage) {
-          oldImagePublicId = extractPublicId(tournament.posterImage);
-        }
       } catch (uploadError) {
         console.error('Cloudinary upload error:', uploadError);
         return res.status(500).json({
@@ -377,20 +783,26 @@ router.put('/:id', [auth, adminOnly, upload.single('posterImage'), ...tournament
       }
     }
 
+    const before = toPlain(tournament);
     Object.assign(tournament, updateData);
     await tournament.save();
 
-    // Clean up old image from Cloudinary after successful update
-    if (oldImagePublicId && cloudinaryResult) {
-      try {
-        await deleteFromCloudinary(oldImagePublicId);
-        console.log('Old poster deleted from Cloudinary');
-      } catch (deleteError) {
-        console.error('Failed to delete old poster from Cloudinary:', deleteError);
-        // Don't fail the request for cleanup errors
-      }
+    // Switching to native registration or raising capacity may free places
+    if (tournament.registrationMode === 'native') {
+      await Registration.syncParticipants(tournament._id);
+      const promoted = await Registration.promoteFromWaitlist(tournament._id);
+      await notifyPromotions(tournament, promoted);
+      const { currentParticipants } = await Tournament.findById(tournament._id).select('currentParticipants').lean();
+      tournament.currentParticipants = currentParticipants;
     }
 
+    await recordRevision(req, 'Tournament', tournament, { before });
+    // The old poster stays while a kept revision still shows it
+    if (cloudinaryResult) {
+      await deleteUnusedImages('Tournament', tournament, [before.posterImage]);
+    }
+    await recordAudit(req, { action: 'update', entityType: 'Tournament', entity: tournament, before, after: tournament });
+
     res.json({
       success: true,
       message: 'Tournament updated successfully',
@@ -425,8 +837,8 @@ router.put('/:id', [auth, adminOnly, upload.single('posterImage'), ...tournament
 
 // @route   PATCH /api/tournaments/:id/participants
 // @desc    Update participant count
-// @access  Private (Admin only)
-router.patch('/:id/participants', [auth, adminOnly], async (req, res) => {
+// @access  Private (tournaments:update)
+router.patch('/:id/participants', [auth, requirePermission('tournaments:update')], async (req, res) => {
   try {
     const { currentParticipants } = req.body;
     
@@ -446,6 +858,13 @@ router.patch('/:id/participants', [auth, adminOnly], async (req, res) => {
       });
     }
 
+    if (tournament.registrationMode === 'native') {
+      return res.status(400).json({
+        success: false,
+        message: 'This tournament uses native registration; its participant count comes from registrations'
+      });
+    }
+
     if (currentParticipants > tournament.maxParticipants) {
       return res.status(400).json({
         success: false,
@@ -453,9 +872,12 @@ router.patch('/:id/participants', [auth, adminOnly], async (req, res) => {
       });
     }
 
+    const before = toPlain(tournament);
     tournament.currentParticipants = currentParticipants;
     await tournament.save();
 
+    await recordAudit(req, { action: 'update', entityType: 'Tournament', entity: tournament, before, after: tournament });
+
     res.json({
       success: true,
       message: 'Participant count updated successfully',
@@ -478,17 +900,10 @@ router.patch('/:id/participants', [auth, adminOnly], async (req, res) => {
 
 // @route   PATCH /api/tournaments/:id/complete
 // @desc    Mark tournament as completed with winner
-// @access  Private (Admin only)
-router.patch('/:id/complete', [auth, adminOnly], async (req, res) => {
+// @access  Private (tournaments:results)
+router.patch('/:id/complete', [auth, requirePermission('tournaments:results')], async (req, res) => {
   try {
     const { winner, finalParticipants } = req.body;
-    
-    if (!winner || !winner.trim()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Winner name is required'
-      });
-    }
 
     const tournament = await Tournament.findById(req.params.id);
     
@@ -499,12 +914,67 @@ router.patch('/:id/complete', [auth, adminOnly], async (req, res) => {
       });
     }
 
+    const before = toPlain(tournament);
+    const paired = await Round.exists({ tournament: tournament._id });
+
+    if (paired) {
+      // Paired events take the winner and ranking from their results
+      const { rounds, standings } = await standingsFor(tournament);
+      const unfinished = rounds.find(round => !round.isComplete);
+
+      if (unfinished) {
+        return res.status(400).json({
+          success: false,
+          message: `Enter all results of round ${unfinished.number} before completing the tournament`
+        });
+      }
+
+      if (tournament.format === 'swiss' && tournament.totalRounds && rounds.length < tournament.totalRounds) {
+        return res.status(400).json({
+          success: false,
+          message: `Only ${rounds.length} of ${tournament.totalRounds} rounds have been paired`
+        });
+      }
+
+      // A knockout is over once its final, the round with a single match, is played
+      const latest = rounds[rounds.length - 1];
+      if (tournament.format === 'knockout' && latest.pairings.length + latest.byes.length > 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Pair the knockout through to the final before completing the tournament'
+        });
+      }
+
+      tournament.winner = standings
+        .filter(row => row.rank === 1)
+        .map(row => row.player.playerName)
+        .join(' / ');
+      tournament.finalParticipants = standings.length;
+      tournament.finalStandings = standings.map(row => ({
+        rank: row.rank,
+        registration: row.player._id,
+        playerName: row.player.playerName,
+        rating: row.player.rating,
+        points: row.points,
+        tiebreaks: row.tiebreaks
+      }));
+    } else {
+      if (!winner || !winner.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Winner name is required'
+        });
+      }
+
+      tournament.winner = winner.trim();
+      tournament.finalParticipants = finalParticipants || tournament.currentParticipants;
+    }
+
     tournament.status = 'completed';
-    tournament.winner = winner.trim();
-    tournament.finalParticipants = finalParticipants || tournament.currentParticipants;
-    
     await tournament.save();
 
+    await recordAudit(req, { action: 'complete', entityType: 'Tournament', entity: tournament, before, after: tournament });
+
     res.json({
       success: true,
       message: 'Tournament marked as completed',
@@ -527,8 +997,8 @@ router.patch('/:id/complete', [auth, adminOnly], async (req, res) => {
 
 // @route   PATCH /api/tournaments/:id/toggle-status
 // @desc    Toggle tournament active status
-// @access  Private (Admin only)
-router.patch('/:id/toggle-status', [auth, adminOnly], async (req, res) => {
+// @access  Private (tournaments:update)
+router.patch('/:id/toggle-status', [auth, requirePermission('tournaments:update')], async (req, res) => {
   try {
     const tournament = await Tournament.findById(req.params.id);
     
@@ -539,9 +1009,12 @@ router.patch('/:id/toggle-status', [auth, adminOnly], async (req, res) => {
       });
     }
 
+    const before = toPlain(tournament);
     tournament.isActive = !tournament.isActive;
     await tournament.save();
 
+    await recordAudit(req, { action: 'toggle', entityType: 'Tournament', entity: tournament, before, after: tournament });
+
     res.json({
       success: true,
       message: `Tournament ${tournament.isActive ? 'activated' : 'deactivated'} successfully`,
@@ -563,9 +1036,9 @@ router.patch('/:id/toggle-status', [auth, adminOnly], async (req, res) => {
 });
 
 // @route   DELETE /api/tournaments/:id
-// @desc    Delete tournament
-// @access  Private (Admin only)
-router.delete('/:id', [auth, adminOnly], async (req, res) => {
+// @desc    Move tournament to the trash
+// @access  Private (tournaments:delete)
+router.delete('/:id', [auth, requirePermission('tournaments:delete')], async (req, res) => {
   try {
     const tournament = await Tournament.findById(req.params.id);
     
@@ -576,25 +1049,18 @@ router.delete('/:id', [auth, adminOnly], async (req, res) => {
       });
     }
 
-    // Delete poster image from Cloudinary if exists
-    if (tournament.posterImage) {
-      const publicId = extractPublicId(tournament.posterImage);
-      if (publicId) {
-        try {
-          await deleteFromCloudinary(publicId);
-          console.log('Tournament poster deleted from Cloudinary');
-        } catch (deleteError) {
-          console.error('Failed to delete poster from Cloudinary:', deleteError);
-          // Don't fail the request for cleanup errors
-        }
-      }
-    }
+    // The poster stays on Cloudinary until the trash is purged
+    const before = toPlain(tournament);
+    await tournament.softDelete(req.user._id);
 
-    await Tournament.findByIdAndDelete(req.params.id);
+    await recordAudit(req, { action: 'delete', entityType: 'Tournament', entity: tournament, before, after: tournament });
 
     res.json({
       success: true,
-      message: 'Tournament deleted successfully'
+      message: 'Tournament moved to trash',
+      data: {
+        purgeAt: purgeDate(tournament.deletedAt)
+      }
     });
   } catch (error) {
     console.error('Delete tournament error:', error);
@@ -611,4 +1077,206 @@ router.delete('/:id', [auth, adminOnly], async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// @route   PATCH /api/tournaments/:id/restore
+// @desc    Restore a tournament from the trash
+// @access  Private (tournaments:delete)
+router.patch('/:id/restore', [auth, requirePermission('tournaments:delete')], async (req, res) => {
+  try {
+    const tournament = await Tournament.findOne(Tournament.trashFilter({ _id: req.params.id }));
+
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tournament not found in trash'
+      });
+    }
+
+    const before = toPlain(tournament);
+    await tournament.restore();
+
+    await recordAudit(req, { action: 'restore', entityType: 'Tournament', entity: tournament, before, after: tournament });
+
+    res.json({
+      success: true,
+      message: 'Tournament restored successfully',
+      data: tournament
+    });
+  } catch (error) {
+    console.error('Restore tournament error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tournament ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while restoring tournament'
+    });
+  }
+});
+
+// @route   GET /api/tournaments/:id/revisions
+// @desc    List a tournament's revisions with field-level changes, newest first
+// @access  Private (tournaments:read)
+router.get('/:id/revisions', [auth, requirePermission('tournaments:read')], async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const tournament = await Tournament.findById(req.params.id);
+
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tournament not found'
+      });
+    }
+
+    const query = { entityType: 'Tournament', entityId: tournament._id };
+    const [revisions, total] = await Promise.all([
+      Revision.find(query)
+        .select('-snapshot')
+        .sort({ version: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      Revision.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      count: revisions.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      data: revisions
+    });
+  } catch (error) {
+    console.error('Get tournament revisions error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tournament ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching revisions'
+    });
+  }
+});
+
+// @route   GET /api/tournaments/:id/revisions/:version
+// @desc    Get one revision including the full snapshot
+// @access  Private (tournaments:read)
+router.get('/:id/revisions/:version', [auth, requirePermission('tournaments:read')], async (req, res) => {
+  try {
+    const revision = await Revision.findOne({
+      entityType: 'Tournament',
+      entityId: req.params.id,
+      version: parseInt(req.params.version)
+    });
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: revision
+    });
+  } catch (error) {
+    console.error('Get tournament revision error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tournament ID or version'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching revision'
+    });
+  }
+});
+
+// @route   POST /api/tournaments/:id/revisions/:version/rollback
+// @desc    Restore a tournament's details to an earlier revision
+// @access  Private (tournaments:update)
+router.post('/:id/revisions/:version/rollback', [auth, requirePermission('tournaments:update')], async (req, res) => {
+  try {
+    const tournament = await Tournament.findById(req.params.id);
+
+    if (!tournament) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tournament not found'
+      });
+    }
+
+    const revision = await Revision.findOne({
+      entityType: 'Tournament',
+      entityId: tournament._id,
+      version: parseInt(req.params.version)
+    });
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    if (revision.snapshot.format !== tournament.format && await Round.exists({ tournament: tournament._id })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot roll back to a different format once rounds have been paired'
+      });
+    }
+
+    const before = toPlain(tournament);
+    applyRevision(tournament, revision);
+    await tournament.save();
+
+    const newRevision = await recordRevision(req, 'Tournament', tournament, {
+      action: 'rollback',
+      before,
+      restoredVersion: revision.version
+    });
+
+    await recordAudit(req, { action: 'rollback', entityType: 'Tournament', entity: tournament, before, after: tournament });
+
+    res.json({
+      success: true,
+      message: newRevision
+        ? `Tournament rolled back to version ${revision.version}`
+        : `Tournament already matches version ${revision.version}`,
+      data: tournament
+    });
+  } catch (error) {
+    console.error('Rollback tournament error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tournament ID or version'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Database validation failed',
+        errors: Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rolling back tournament'
+    });
+  }
+});
+
+module.exports = router;
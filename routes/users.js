@@ -0,0 +1,570 @@
+const express = require('express');
+const crypto = require('crypto');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const { auth, requirePermission } = require('../middleware/auth');
+const { ROLES, BRANCHES, BRANCH_SCOPED_ROLES, isSuperAdmin } = require('../config/roles');
+const { sendMail } = require('../utils/mailer');
+const { revokeAllTokens } = require('../utils/tokens');
+const { recordAudit, toPlain } = require('../utils/audit');
+
+const router = express.Router();
+
+// Every route here manages staff accounts
+router.use(auth, requirePermission('users:manage'));
+
+const SUPER_ADMIN_ROLES = ['super_admin', 'admin'];
+
+const userValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('role')
+    .isIn(ROLES)
+    .withMessage('Please select a valid role'),
+  body('branch')
+    .if(body('role').isIn(BRANCH_SCOPED_ROLES))
+    .isIn(BRANCHES)
+    .withMessage('Please select a valid branch for this role')
+];
+
+// Would removing this user's super-admin access leave nobody able to manage users?
+const isLastSuperAdmin = async (user) => {
+  if (!isSuperAdmin(user.role) || !user.isActive) return false;
+
+  const others = await User.countDocuments({
+    _id: { $ne: user._id },
+    role: { $in: SUPER_ADMIN_ROLES },
+    isActive: true
+  });
+  return others === 0;
+};
+
+const sendInvitation = (user, token, inviter) => {
+  const inviteUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/admin/accept-invite?token=${token}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'You have been invited to Aspire Chess Academy admin',
+    text: `Hi ${user.name},\n\n${inviter.name} has invited you to the Aspire Chess Academy admin panel as ${user.role}.\n\nSet your password here: ${inviteUrl}\n\nThis link expires in ${parseInt(process.env.INVITATION_EXPIRE_DAYS) || 7} days.`
+  });
+};
+
+// @route   GET /api/users
+// @desc    List staff users
+// @access  Private (users:manage)
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search = '', role = 'all', status = 'all' } = req.query;
+
+    const query = {};
+
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { email: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    if (role !== 'all') {
+      query.role = role;
+    }
+
+    if (status === 'active') {
+      query.isActive = true;
+    } else if (status === 'inactive') {
+      query.isActive = false;
+    } else if (status === 'invited') {
+      query.invitationTokenHash = { $ne: null };
+    }
+
+    const users = await User.find(query)
+      .populate('invitedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .select('-__v');
+
+    const total = await User.countDocuments(query);
+
+    res.json({
+      success: true,
+      count: users.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      data: users
+    });
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching users'
+    });
+  }
+});
+
+// @route   GET /api/users/lockouts
+// @desc    List users with failed login attempts or an active lockout
+// @access  Private (users:manage)
+router.get('/lockouts', async (req, res) => {
+  try {
+    const users = await User.find({ failedLoginAttempts: { $gt: 0 } })
+      .sort({ lastFailedLoginAt: -1 })
+      .select('name email role failedLoginAttempts lastFailedLoginAt lockUntil');
+
+    res.json({
+      success: true,
+      count: users.length,
+      data: users.map(user => ({
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        failedLoginAttempts: user.failedLoginAttempts,
+        lastFailedLoginAt: user.lastFailedLoginAt,
+        lockUntil: user.lockUntil,
+        isLocked: user.isLocked
+      }))
+    });
+  } catch (error) {
+    console.error('Get lockouts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching lockouts'
+    });
+  }
+});
+
+// @route   GET /api/users/:id
+// @desc    Get single staff user
+// @access  Private (users:manage)
+router.get('/:id', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+      .populate('invitedBy', 'name email')
+      .populate('deactivatedBy', 'name email')
+      .select('-__v');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    console.error('Get user error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching user'
+    });
+  }
+});
+
+// @route   POST /api/users/invite
+// @desc    Invite a new staff user by email
+// @access  Private (users:manage)
+router.post('/invite', [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please enter a valid email'),
+  ...userValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email, name, role, branch } = req.body;
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'A user with this email already exists'
+      });
+    }
+
+    const user = new User({
+      email,
+      name,
+      role,
+      branch: BRANCH_SCOPED_ROLES.includes(role) ? branch : undefined,
+      // Unusable placeholder until the invitation is accepted
+      password: crypto.randomBytes(32).toString('hex'),
+      invitedBy: req.user._id
+    });
+    const token = user.createInvitationToken();
+    await user.save();
+
+    await recordAudit(req, { action: 'invite', entityType: 'User', entity: user, after: user });
+
+    try {
+      await sendInvitation(user, token, req.user);
+    } catch (mailError) {
+      console.error('Failed to send invitation email:', mailError);
+      return res.status(201).json({
+        success: true,
+        message: 'User created but the invitation email could not be sent; resend it later',
+        data: user
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent successfully',
+      data: user
+    });
+  } catch (error) {
+    console.error('Invite user error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Database validation failed',
+        errors: Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while inviting user'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/resend-invite
+// @desc    Issue a fresh invitation link
+// @access  Private (users:manage)
+router.post('/:id/resend-invite', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.invitationPending) {
+      return res.status(400).json({
+        success: false,
+        message: 'User has already accepted their invitation'
+      });
+    }
+
+    const token = user.createInvitationToken();
+    await user.save();
+    await sendInvitation(user, token, req.user);
+
+    res.json({
+      success: true,
+      message: 'Invitation resent successfully'
+    });
+  } catch (error) {
+    console.error('Resend invitation error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resending invitation'
+    });
+  }
+});
+
+// @route   PUT /api/users/:id
+// @desc    Update a staff user's name, role and branch
+// @access  Private (users:manage)
+router.put('/:id', userValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { name, role, branch } = req.body;
+
+    if (!isSuperAdmin(role) && await isLastSuperAdmin(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot change the role of the last active super admin'
+      });
+    }
+
+    const before = toPlain(user);
+    user.name = name;
+    user.role = role;
+    user.branch = BRANCH_SCOPED_ROLES.includes(role) ? branch : undefined;
+    await user.save();
+
+    await recordAudit(req, { action: 'update', entityType: 'User', entity: user, before, after: user });
+
+    res.json({
+      success: true,
+      message: 'User updated successfully',
+      data: user
+    });
+  } catch (error) {
+    console.error('Update user error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Database validation failed',
+        errors: Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating user'
+    });
+  }
+});
+
+// @route   PATCH /api/users/:id/deactivate
+// @desc    Deactivate a staff user and revoke their tokens
+// @access  Private (users:manage)
+router.patch('/:id/deactivate', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot deactivate your own account'
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already deactivated'
+      });
+    }
+
+    if (await isLastSuperAdmin(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot deactivate the last active super admin'
+      });
+    }
+
+    const before = toPlain(user);
+    user.isActive = false;
+    user.deactivatedAt = new Date();
+    user.deactivatedBy = req.user._id;
+    await revokeAllTokens(user, 'deactivated');
+
+    await recordAudit(req, { action: 'deactivate', entityType: 'User', entity: user, before, after: user });
+
+    res.json({
+      success: true,
+      message: 'User deactivated successfully',
+      data: user
+    });
+  } catch (error) {
+    console.error('Deactivate user error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deactivating user'
+    });
+  }
+});
+
+// @route   PATCH /api/users/:id/reactivate
+// @desc    Reactivate a deactivated staff user
+// @access  Private (users:manage)
+router.patch('/:id/reactivate', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already active'
+      });
+    }
+
+    const before = toPlain(user);
+    user.isActive = true;
+    user.deactivatedAt = null;
+    user.deactivatedBy = null;
+    await user.save();
+
+    await recordAudit(req, { action: 'reactivate', entityType: 'User', entity: user, before, after: user });
+
+    res.json({
+      success: true,
+      message: 'User reactivated successfully',
+      data: user
+    });
+  } catch (error) {
+    console.error('Reactivate user error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reactivating user'
+    });
+  }
+});
+
+// @route   PATCH /api/users/:id/unlock
+// @desc    Clear failed login attempts and any lockout
+// @access  Private (users:manage)
+router.patch('/:id/unlock', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const before = toPlain(user);
+    user.resetLoginAttempts();
+    await user.save();
+
+    await recordAudit(req, { action: 'unlock', entityType: 'User', entity: user, before, after: user });
+
+    res.json({
+      success: true,
+      message: 'User unlocked successfully',
+      data: user
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while unlocking user'
+    });
+  }
+});
+
+// @route   POST /api/users/:id/2fa/reset
+// @desc    Clear a colleague's 2FA (e.g. lost device) and revoke their tokens
+// @access  Private (users:manage)
+router.post('/:id/2fa/reset', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use your own recovery codes to reset your two-factor authentication'
+      });
+    }
+
+    const before = toPlain(user);
+    user.resetTwoFactor();
+    await revokeAllTokens(user, '2fa-reset');
+
+    await recordAudit(req, { action: 'reset-2fa', entityType: 'User', entity: user, before, after: user });
+
+    console.log(`Two-factor authentication reset for ${user.email} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset successfully',
+      data: user
+    });
+  } catch (error) {
+    console.error('Reset two-factor error:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resetting two-factor authentication'
+    });
+  }
+});
+
+module.exports = router;
@@ -10,7 +10,21 @@ require('dotenv').config();
 const authRoutes = require('./routes/auth');
 const studentRoutes = require('./routes/students');
 const tournamentRoutes = require('./routes/tournaments');
+const registrationRoutes = require('./routes/registrations');
+const roundRoutes = require('./routes/rounds');
+const gameRoutes = require('./routes/games');
 const enrollmentRoutes = require('./routes/enrollments');
+const userRoutes = require('./routes/users');
+const auditLogRoutes = require('./routes/auditLogs');
+const apiKeyRoutes = require('./routes/apiKeys');
+
+// Refuse to start with mail settings that would leak links into the logs
+try {
+  require('./utils/mailer').checkMailConfig();
+} catch (error) {
+  console.error('Mail configuration error:', error.message);
+  process.exit(1);
+}
 
 const app = express();
 
@@ -64,7 +78,7 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
 };
 
 app.use(cors(corsOptions));
@@ -100,8 +114,14 @@ app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/students', studentRoutes);
+app.use('/api/tournaments/:tournamentId/registrations', registrationRoutes);
+app.use('/api/tournaments/:tournamentId/rounds', roundRoutes);
+app.use('/api/tournaments/:tournamentId/games', gameRoutes);
 app.use('/api/tournaments', tournamentRoutes);
 app.use('/api/enrollments', enrollmentRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/audit-logs', auditLogRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -143,6 +163,10 @@ mongoose.connect(process.env.MONGODB_URI)
     console.log('Connected to MongoDB');
     // Create default admin user
     require('./utils/createAdmin')();
+    // Permanently remove trashed items past their retention period
+    require('./utils/purgeTrash').startTrashPurgeJob();
+    // Move tournaments from upcoming to ongoing to completed as their dates pass
+    require('./utils/tournamentStatus').startTournamentStatusJob();
   })
   .catch((error) => {
     console.error('MongoDB connection error:', error);
@@ -0,0 +1,64 @@
+const AuditLog = require('../models/AuditLog');
+
+// Bookkeeping fields that change on every save and say nothing about the edit
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Plain JSON copy of a document (honours model toJSON, e.g. User strips secrets)
+const toPlain = (doc) => {
+  if (!doc) return null;
+  const plain = typeof doc.toJSON === 'function' ? doc.toJSON() : doc;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+// Top-level field differences between two plain objects
+const diffObjects = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+
+  fields.forEach(field => {
+    if (IGNORED_FIELDS.includes(field)) return;
+
+    const oldValue = before ? before[field] : undefined;
+    const newValue = after ? after[field] : undefined;
+
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({
+        field,
+        before: oldValue === undefined ? null : oldValue,
+        after: newValue === undefined ? null : newValue
+      });
+    }
+  });
+
+  return changes;
+};
+
+// Record an admin mutation. Never throws: a failed audit write must not fail the request.
+// `req` is null for background jobs, which are logged without an actor.
+const recordAudit = async (req, { action, entityType, entity, entityId, entityLabel, before, after }) => {
+  try {
+    const plainBefore = toPlain(before);
+    const plainAfter = toPlain(after);
+    const user = req && req.user;
+
+    await AuditLog.create({
+      actor: user ? user._id : null,
+      actorName: user ? user.name : 'system',
+      actorEmail: user ? user.email : undefined,
+      apiKey: req && req.apiKey ? req.apiKey._id : null,
+      ip: req ? req.ip : undefined,
+      userAgent: req ? req.get('User-Agent') : undefined,
+      action,
+      entityType,
+      entityId: entityId || (entity && entity._id) || null,
+      entityLabel: entityLabel || (entity && (entity.name || entity.email)),
+      before: plainBefore,
+      after: plainAfter,
+      changes: diffObjects(plainBefore, plainAfter)
+    });
+  } catch (error) {
+    console.error('Failed to record audit log:', error);
+  }
+};
+
+module.exports = { recordAudit, diffObjects, toPlain };
@@ -0,0 +1,278 @@
+// Just enough chess to replay a game in SAN and reject illegal moves: board
+// set-up (standard or FEN), move legality including castling, en passant and
+// promotion, and the position's FEN. Squares are 0-63, a1 = 0, h8 = 63;
+// white pieces are upper case.
+
+const START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+const FILES = 'abcdefgh';
+
+const KNIGHT_STEPS = [[1, 2], [2, 1], [2, -1], [1, -2], [-1, -2], [-2, -1], [-2, 1], [-1, 2]];
+const KING_STEPS = [[1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1], [0, -1], [1, -1]];
+const ROOK_LINES = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+const BISHOP_LINES = [[1, 1], [1, -1], [-1, 1], [-1, -1]];
+
+const fileOf = (square) => square % 8;
+const rankOf = (square) => Math.floor(square / 8);
+const squareAt = (file, rank) => (file >= 0 && file < 8 && rank >= 0 && rank < 8 ? rank * 8 + file : null);
+const squareName = (square) => `${FILES[fileOf(square)]}${rankOf(square) + 1}`;
+const parseSquare = (name) => squareAt(FILES.indexOf(name[0]), parseInt(name[1]) - 1);
+
+const colourOf = (piece) => (piece === piece.toUpperCase() ? 'w' : 'b');
+const other = (colour) => (colour === 'w' ? 'b' : 'w');
+
+const parseFen = (fen) => {
+  const [placement, turn, castling, enPassant] = fen.trim().split(/\s+/);
+  const rows = (placement || '').split('/');
+
+  if (rows.length !== 8 || !['w', 'b'].includes(turn)) {
+    throw new Error(`Invalid FEN: ${fen}`);
+  }
+
+  const board = new Array(64).fill(null);
+  rows.forEach((row, index) => {
+    const rank = 7 - index;
+    let file = 0;
+    for (const char of row) {
+      if (/[1-8]/.test(char)) {
+        file += parseInt(char);
+      } else if (/[pnbrqkPNBRQK]/.test(char) && file < 8) {
+        board[squareAt(file, rank)] = char;
+        file++;
+      } else {
+        throw new Error(`Invalid FEN: ${fen}`);
+      }
+    }
+    if (file !== 8) throw new Error(`Invalid FEN: ${fen}`);
+  });
+
+  return {
+    board,
+    turn,
+    castling: castling && castling !== '-' ? castling : '',
+    enPassant: enPassant && enPassant !== '-' ? parseSquare(enPassant) : null
+  };
+};
+
+const toFen = (position) => {
+  const rows = [];
+  for (let rank = 7; rank >= 0; rank--) {
+    let row = '';
+    let empty = 0;
+    for (let file = 0; file < 8; file++) {
+      const piece = position.board[squareAt(file, rank)];
+      if (piece) {
+        row += (empty || '') + piece;
+        empty = 0;
+      } else {
+        empty++;
+      }
+    }
+    rows.push(row + (empty || ''));
+  }
+  return [
+    rows.join('/'),
+    position.turn,
+    position.castling || '-',
+    position.enPassant === null ? '-' : squareName(position.enPassant)
+  ].join(' ');
+};
+
+// Squares a piece on `from` attacks (pawns: diagonals only)
+const attacks = (board, from) => {
+  const piece = board[from];
+  const type = piece.toUpperCase();
+  const file = fileOf(from);
+  const rank = rankOf(from);
+  const targets = [];
+
+  const step = (steps) => steps.forEach(([df, dr]) => {
+    const target = squareAt(file + df, rank + dr);
+    if (target !== null) targets.push(target);
+  });
+
+  const slide = (lines) => lines.forEach(([df, dr]) => {
+    for (let distance = 1; ; distance++) {
+      const target = squareAt(file + df * distance, rank + dr * distance);
+      if (target === null) break;
+      targets.push(target);
+      if (board[target]) break;
+    }
+  });
+
+  if (type === 'P') step(colourOf(piece) === 'w' ? [[-1, 1], [1, 1]] : [[-1, -1], [1, -1]]);
+  if (type === 'N') step(KNIGHT_STEPS);
+  if (type === 'K') step(KING_STEPS);
+  if (type === 'B' || type === 'Q') slide(BISHOP_LINES);
+  if (type === 'R' || type === 'Q') slide(ROOK_LINES);
+
+  return targets;
+};
+
+const isAttacked = (board, square, byColour) => board.some((piece, from) =>
+  piece && colourOf(piece) === byColour && attacks(board, from).includes(square));
+
+const inCheck = (board, colour) => {
+  const king = board.indexOf(colour === 'w' ? 'K' : 'k');
+  return king !== -1 && isAttacked(board, king, other(colour));
+};
+
+// Board after moving from -> to (with en passant capture and promotion)
+const movedBoard = (position, from, to, promotion) => {
+  const board = [...position.board];
+  const piece = board[from];
+
+  if (piece.toUpperCase() === 'P' && to === position.enPassant && !board[to]) {
+    board[squareAt(fileOf(to), rankOf(from))] = null;
+  }
+  board[to] = promotion ? (position.turn === 'w' ? promotion : promotion.toLowerCase()) : piece;
+  board[from] = null;
+  return board;
+};
+
+// Whether the side to move's piece on `from` may go to `to`, ignoring checks
+const reaches = (position, from, to) => {
+  const { board, turn } = position;
+  const piece = board[from];
+  const target = board[to];
+
+  if (target && colourOf(target) === turn) return false;
+
+  if (piece.toUpperCase() !== 'P') return attacks(board, from).includes(to);
+
+  const direction = turn === 'w' ? 1 : -1;
+  const startRank = turn === 'w' ? 1 : 6;
+
+  if (fileOf(from) === fileOf(to)) {
+    if (target) return false;
+    if (rankOf(to) - rankOf(from) === direction) return true;
+    return rankOf(from) === startRank &&
+      rankOf(to) - rankOf(from) === 2 * direction &&
+      !board[squareAt(fileOf(from), rankOf(from) + direction)];
+  }
+
+  return Math.abs(fileOf(to) - fileOf(from)) === 1 &&
+    rankOf(to) - rankOf(from) === direction &&
+    (Boolean(target) || to === position.enPassant);
+};
+
+const withoutCastling = (castling, rights) => castling.split('').filter(right => !rights.includes(right)).join('');
+
+// Castling rights lost when a piece leaves or arrives on these squares
+const CASTLING_SQUARES = { 0: 'Q', 4: 'KQ', 7: 'K', 56: 'q', 60: 'kq', 63: 'k' };
+
+const nextPosition = (position, board, from, to) => {
+  const piece = position.board[from];
+  const castling = withoutCastling(position.castling, (CASTLING_SQUARES[from] || '') + (CASTLING_SQUARES[to] || ''));
+  const doubleStep = piece.toUpperCase() === 'P' && Math.abs(rankOf(to) - rankOf(from)) === 2;
+
+  return {
+    board,
+    turn: other(position.turn),
+    castling,
+    enPassant: doubleStep ? (from + to) / 2 : null
+  };
+};
+
+const castle = (position, long) => {
+  const { board, turn } = position;
+  const rank = turn === 'w' ? 0 : 7;
+  const king = squareAt(4, rank);
+  const right = long ? 'Q' : 'K';
+
+  const rookFrom = squareAt(long ? 0 : 7, rank);
+
+  if (!position.castling.includes(turn === 'w' ? right : right.toLowerCase()) ||
+    board[king] !== (turn === 'w' ? 'K' : 'k') || board[rookFrom] !== (turn === 'w' ? 'R' : 'r')) {
+    throw new Error('castling is no longer allowed');
+  }
+
+  const kingTo = squareAt(long ? 2 : 6, rank);
+  const rookTo = squareAt(long ? 3 : 5, rank);
+  const between = long ? [1, 2, 3] : [5, 6];
+  const passed = long ? [4, 3, 2] : [4, 5, 6];
+
+  if (between.some(file => board[squareAt(file, rank)])) {
+    throw new Error('castling through pieces');
+  }
+  if (passed.some(file => isAttacked(board, squareAt(file, rank), other(turn)))) {
+    throw new Error('castling out of, through or into check');
+  }
+
+  const next = [...board];
+  next[kingTo] = next[king];
+  next[rookTo] = next[rookFrom];
+  next[king] = null;
+  next[rookFrom] = null;
+  return nextPosition(position, next, king, kingTo);
+};
+
+const SAN_PATTERN = /^([NBRQK])?([a-h])?([1-8])?(x)?([a-h][1-8])(?:=?([NBRQ]))?$/;
+
+// Position after the SAN move `san`; throws if it is malformed or illegal
+const applySan = (position, san) => {
+  const move = san.replace(/[+#]?[!?]*$/, '').replace(/[+#]$/, '');
+
+  if (/^(O-O-O|0-0-0)$/.test(move)) return castle(position, true);
+  if (/^(O-O|0-0)$/.test(move)) return castle(position, false);
+
+  const match = move.match(SAN_PATTERN);
+  if (!match) throw new Error('not a move in standard algebraic notation');
+
+  const [, pieceLetter = 'P', fromFile, fromRank, , targetName, promotion] = match;
+  const to = parseSquare(targetName);
+  const wanted = position.turn === 'w' ? pieceLetter : pieceLetter.toLowerCase();
+
+  const lastRank = position.turn === 'w' ? 7 : 0;
+  if (pieceLetter === 'P' && (rankOf(to) === lastRank) !== Boolean(promotion)) {
+    throw new Error(promotion ? 'promotion before the last rank' : 'pawn reaching the last rank must promote');
+  }
+  if (pieceLetter !== 'P' && promotion) throw new Error('only pawns promote');
+
+  const candidates = position.board
+    .map((piece, from) => from)
+    .filter(from => position.board[from] === wanted &&
+      (!fromFile || fileOf(from) === FILES.indexOf(fromFile)) &&
+      (!fromRank || rankOf(from) === parseInt(fromRank) - 1) &&
+      reaches(position, from, to))
+    .filter(from => !inCheck(movedBoard(position, from, to, promotion), position.turn));
+
+  if (candidates.length === 0) throw new Error('illegal move');
+  if (candidates.length > 1) throw new Error('ambiguous move');
+
+  const from = candidates[0];
+  return nextPosition(position, movedBoard(position, from, to, promotion), from, to);
+};
+
+// Replay `moves` (SAN) from `fen`. Returns { position } or { error, ply }.
+const replay = (moves, fen = START_FEN) => {
+  let position;
+  try {
+    position = parseFen(fen);
+  } catch (error) {
+    return { error: error.message, ply: 0 };
+  }
+
+  // Positions set up with black to move start on a black half-move
+  const offset = position.turn === 'b' ? 1 : 0;
+
+  for (let index = 0; index < moves.length; index++) {
+    try {
+      position = applySan(position, moves[index]);
+    } catch (error) {
+      const halfMove = index + offset;
+      const label = `${Math.floor(halfMove / 2) + 1}${halfMove % 2 === 0 ? '.' : '...'}`;
+      return { error: `Move ${label} ${moves[index]}: ${error.message}`, ply: index + 1 };
+    }
+  }
+
+  return { position };
+};
+
+module.exports = {
+  START_FEN,
+  parseFen,
+  toFen,
+  applySan,
+  replay
+};
@@ -15,7 +15,7 @@ const createDefaultAdmin = async () => {
       email: process.env.ADMIN_EMAIL,
       password: process.env.ADMIN_PASSWORD,
       name: 'Admin',
-      role: 'admin'
+      role: 'super_admin'
     });
 
     await adminUser.save();
@@ -0,0 +1,93 @@
+const Student = require('../models/Student');
+require('../models/RatingEntry');
+const { parseRatingList } = require('./fideRatingList');
+const { FIDE_TITLES } = require('../config/ratings');
+const { LOCKED_STATUSES } = require('../config/workflow');
+
+// FIDE list -> student rating pool
+const POOL_FOR_LIST = {
+  standard: 'fide',
+  rapid: 'rapid',
+  blitz: 'blitz'
+};
+
+// Update students from a FIDE rating list file, matched by fideId. With
+// `skipLocked`, published and archived students are reported as skipped
+// instead of changed. Returns a report of matched, changed, skipped and
+// unmatched students.
+const importFideRatingList = async (filePath, { list = 'standard', period, dryRun = false, skipLocked = false, createdBy = null } = {}) => {
+  const students = await Student.find({ fideId: { $nin: [null, ''] } });
+  const fideIds = students.map(student => student.fideId);
+
+  const { format, players, period: filePeriod } = await parseRatingList(filePath, { list, fideIds });
+  const date = period || filePeriod || new Date();
+
+  const report = {
+    format,
+    period: date,
+    dryRun,
+    studentsWithFideId: students.length,
+    matched: 0,
+    changed: [],
+    skipped: [],
+    unchanged: [],
+    unmatched: []
+  };
+
+  for (const student of students) {
+    const player = players.get(student.fideId);
+
+    if (!player) {
+      report.unmatched.push({ id: student._id, name: student.name, fideId: student.fideId });
+      continue;
+    }
+
+    report.matched++;
+    const changes = [];
+
+    const values = {};
+    Object.entries(player.ratings).forEach(([fideList, rating]) => {
+      const pool = POOL_FOR_LIST[fideList];
+      if (rating !== null && rating !== student.ratings[pool]) {
+        values[pool] = rating;
+        changes.push({ field: `ratings.${pool}`, before: student.ratings[pool], after: rating });
+      }
+    });
+
+    const fideTitle = [player.title, player.womenTitle].find(title => FIDE_TITLES.includes(title));
+    if (fideTitle && fideTitle !== student.fideTitle) {
+      changes.push({ field: 'fideTitle', before: student.fideTitle, after: fideTitle });
+    }
+
+    const summary = { id: student._id, name: student.name, fideId: student.fideId, fideName: player.name };
+
+    if (changes.length === 0) {
+      report.unchanged.push(summary);
+      continue;
+    }
+
+    if (skipLocked && LOCKED_STATUSES.includes(student.status)) {
+      report.skipped.push({ ...summary, changes, reason: `Student is ${student.status}; changing it requires students:publish` });
+      continue;
+    }
+
+    report.changed.push({ ...summary, changes });
+
+    if (!dryRun) {
+      if (fideTitle && fideTitle !== student.fideTitle) {
+        student.fideTitle = fideTitle;
+        await student.save();
+      }
+      await student.recordRatings(values, {
+        date,
+        source: 'fide-import',
+        note: `FIDE ${list} rating list`,
+        createdBy
+      });
+    }
+  }
+
+  return report;
+};
+
+module.exports = { importFideRatingList };
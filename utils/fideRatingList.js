@@ -0,0 +1,221 @@
+const fs = require('fs');
+const readline = require('readline');
+
+// Streaming parsers for the official FIDE rating list downloads
+// (https://ratings.fide.com/download_lists.phtml), unzipped:
+//
+//   TXT  fixed-width; either the combined list (SRtng/RRtng/BRtng columns) or a
+//        single list whose rating column is headed by the period, e.g. "SEP24"
+//   XML  <playerslist><player>...</player></playerslist>; combined lists use
+//        <rating>/<rapid_rating>/<blitz_rating>, single lists just <rating>
+//
+// The full lists hold over a million players, so files are streamed and only
+// rows whose FIDE ID is in `fideIds` are kept.
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+const LISTS = ['standard', 'rapid', 'blitz'];
+
+// "SEP24" -> 2024-09-01
+const parsePeriodHeader = (header) => {
+  const match = header.match(/^([A-Z]{3})(\d{2})$/);
+  if (!match || !MONTHS.includes(match[1])) return null;
+  return new Date(Date.UTC(2000 + parseInt(match[2]), MONTHS.indexOf(match[1]), 1));
+};
+
+const toRating = (value) => {
+  const rating = parseInt(value);
+  return Number.isNaN(rating) || rating <= 0 ? null : rating;
+};
+
+// Column start positions from the header line; "ID Number" is one column
+const parseTxtHeader = (line) => {
+  const columns = [];
+  const pattern = /ID Number|\S+/g;
+  let match;
+  while ((match = pattern.exec(line)) !== null) {
+    columns.push({ name: match[0], start: match.index });
+  }
+  return columns.map((column, index) => ({
+    ...column,
+    end: index + 1 < columns.length ? columns[index + 1].start : undefined
+  }));
+};
+
+// ID and Name are sliced by position. The remaining columns are short and
+// their values are not consistently aligned with the headers (ratings are
+// right-aligned, titles left-aligned), so each value is assigned to the header
+// it overlaps most, or failing that the nearest one.
+const readTxtRow = (line, columns) => {
+  const row = {};
+  const fedIndex = columns.findIndex(column => column.name === 'Fed');
+  const sliced = fedIndex === -1 ? columns : columns.slice(0, fedIndex);
+  const tokenised = fedIndex === -1 ? [] : columns.slice(fedIndex);
+
+  sliced.forEach(column => {
+    row[column.name] = line.slice(column.start, column.end).trim();
+  });
+  tokenised.forEach(column => {
+    row[column.name] = '';
+  });
+
+  const tail = tokenised.length ? tokenised[0].start : line.length;
+  const pattern = /\S+/g;
+  pattern.lastIndex = tail;
+  let match;
+  while ((match = pattern.exec(line)) !== null) {
+    const start = match.index;
+    const end = start + match[0].length;
+
+    let best = null;
+    let bestScore = -Infinity;
+    tokenised.forEach(column => {
+      const columnEnd = column.start + column.name.length;
+      const overlap = Math.min(end, columnEnd) - Math.max(start, column.start);
+      const distance = Math.abs((start + end) / 2 - (column.start + columnEnd) / 2);
+      const score = overlap > 0 ? overlap * 1000 - distance : -distance;
+      if (score > bestScore) {
+        bestScore = score;
+        best = column;
+      }
+    });
+
+    if (best) {
+      row[best.name] = row[best.name] ? `${row[best.name]} ${match[0]}` : match[0];
+    }
+  }
+
+  return row;
+};
+
+const parseTxt = async (filePath, { list, fideIds }) => {
+  const players = new Map();
+  let columns = null;
+  let period = null;
+
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath, { encoding: 'latin1' }),
+    crlfDelay: Infinity
+  });
+
+  for await (const line of lines) {
+    if (!columns) {
+      if (!line.startsWith('ID Number')) {
+        throw new Error('Unrecognised TXT rating list: header row not found');
+      }
+      columns = parseTxtHeader(line);
+      const periodColumn = columns.find(column => parsePeriodHeader(column.name));
+      period = periodColumn ? parsePeriodHeader(periodColumn.name) : null;
+      continue;
+    }
+
+    const fideId = line.slice(0, columns[1].start).trim();
+    if (!fideIds.has(fideId)) continue;
+
+    const row = readTxtRow(line, columns);
+
+    const ratings = {};
+    if ('SRtng' in row || 'RRtng' in row || 'BRtng' in row) {
+      ratings.standard = toRating(row.SRtng);
+      ratings.rapid = toRating(row.RRtng);
+      ratings.blitz = toRating(row.BRtng);
+    } else {
+      const ratingColumn = columns.find(column => parsePeriodHeader(column.name) || column.name === 'Rtng');
+      ratings[list] = ratingColumn ? toRating(row[ratingColumn.name]) : null;
+    }
+
+    players.set(fideId, {
+      fideId,
+      name: row.Name,
+      title: row.Tit || null,
+      womenTitle: row.WTit || null,
+      ratings
+    });
+  }
+
+  if (!columns) {
+    throw new Error('Rating list file is empty');
+  }
+
+  return { players, period };
+};
+
+const xmlValue = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<]*)</${tag}>`));
+  return match ? match[1].trim() : '';
+};
+
+const parseXml = async (filePath, { list, fideIds }) => {
+  const players = new Map();
+  let buffer = '';
+  let sawPlayer = false;
+
+  const handleBlock = (block) => {
+    sawPlayer = true;
+    const fideId = xmlValue(block, 'fideid');
+    if (!fideIds.has(fideId)) return;
+
+    const ratings = {};
+    if (block.includes('<rapid_rating>') || block.includes('<blitz_rating>')) {
+      ratings.standard = toRating(xmlValue(block, 'rating'));
+      ratings.rapid = toRating(xmlValue(block, 'rapid_rating'));
+      ratings.blitz = toRating(xmlValue(block, 'blitz_rating'));
+    } else {
+      ratings[list] = toRating(xmlValue(block, 'rating'));
+    }
+
+    players.set(fideId, {
+      fideId,
+      name: xmlValue(block, 'name'),
+      title: xmlValue(block, 'title') || null,
+      womenTitle: xmlValue(block, 'w_title') || null,
+      ratings
+    });
+  };
+
+  for await (const chunk of fs.createReadStream(filePath, { encoding: 'utf8' })) {
+    buffer += chunk;
+    let end;
+    while ((end = buffer.indexOf('</player>')) !== -1) {
+      const start = buffer.indexOf('<player>');
+      handleBlock(buffer.slice(start, end));
+      buffer = buffer.slice(end + '</player>'.length);
+    }
+  }
+
+  if (!sawPlayer) {
+    throw new Error('Unrecognised XML rating list: no <player> entries found');
+  }
+
+  return { players, period: null };
+};
+
+// Sniff the format from the first bytes of the file
+const detectFormat = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(256), 0, 256, 0);
+    const head = buffer.slice(0, bytesRead).toString('latin1').trimStart();
+    if (head.startsWith('<')) return 'xml';
+    if (head.startsWith('ID Number')) return 'txt';
+    throw new Error('Unrecognised rating list format; expected the FIDE TXT or XML download (unzipped)');
+  } finally {
+    await handle.close();
+  }
+};
+
+// Parse a rating list file, keeping only the given FIDE IDs.
+// `list` says which rating a single-list file holds (standard, rapid or blitz).
+const parseRatingList = async (filePath, { list = 'standard', fideIds }) => {
+  if (!LISTS.includes(list)) {
+    throw new Error(`List must be one of: ${LISTS.join(', ')}`);
+  }
+
+  const format = await detectFormat(filePath);
+  const parser = format === 'xml' ? parseXml : parseTxt;
+  const result = await parser(filePath, { list, fideIds: new Set(fideIds) });
+
+  return { format, ...result };
+};
+
+module.exports = { parseRatingList, LISTS };
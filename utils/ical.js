@@ -0,0 +1,104 @@
+const { FORMAT_LABELS } = require('../config/pairing');
+const { timezone, nextDay, tournamentWindow } = require('./tournamentTimes');
+
+// iCalendar (RFC 5545) feed of tournaments for calendar subscriptions.
+// Start and end times come from tournamentWindow and are written out in
+// UTC, so calendars show the right time wherever the subscriber is.
+
+// Host part of event UIDs; must not change or subscribers get duplicates
+const uidDomain = () => {
+  try {
+    return new URL(process.env.FRONTEND_URL).hostname;
+  } catch (error) {
+    return 'aspirechess.com';
+  }
+};
+
+const pad = (number) => String(number).padStart(2, '0');
+
+const formatUtc = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const formatDay = ({ year, month, day }) => `${year}${pad(month)}${pad(day)}`;
+
+// TEXT values escape backslashes, separators and newlines
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Content lines are folded at 75 octets, continuing with a leading space
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    if (size + bytes > (chunks.length === 0 ? 75 : 74)) {
+      chunks.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += bytes;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+};
+
+// DTSTART/DTEND lines for a tournament
+const eventTimes = (tournament) => {
+  const window = tournamentWindow(tournament);
+
+  if (window.allDay) {
+    return [`DTSTART;VALUE=DATE:${formatDay(window.firstDay)}`, `DTEND;VALUE=DATE:${formatDay(nextDay(window.lastDay))}`];
+  }
+  return [`DTSTART:${formatUtc(window.startsAt)}`, `DTEND:${formatUtc(window.endsAt)}`];
+};
+
+const toEvent = (tournament) => {
+  const cancelled = tournament.status === 'cancelled';
+  const modified = new Date(tournament.updatedAt || tournament.createdAt || Date.now());
+  const details = [
+    tournament.description,
+    `Format: ${FORMAT_LABELS[tournament.format] || tournament.format}${tournament.formatNotes ? ` (${tournament.formatNotes})` : ''}`,
+    `Time control: ${tournament.timeControl}`,
+    `Entry fee: ${tournament.entryFee}`,
+    `Prize pool: ${tournament.prizePool}`,
+    tournament.registrationLink ? `Register: ${tournament.registrationLink}` : null
+  ].filter(Boolean);
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:tournament-${tournament._id}@${uidDomain()}`,
+    `DTSTAMP:${formatUtc(modified)}`,
+    `LAST-MODIFIED:${formatUtc(modified)}`,
+    // Calendars only apply an update with a higher sequence; seconds since
+    // the epoch of the last change always increase
+    `SEQUENCE:${Math.floor(modified.getTime() / 1000)}`,
+    ...eventTimes(tournament),
+    `SUMMARY:${escapeText(cancelled ? `Cancelled: ${tournament.name}` : tournament.name)}`,
+    `LOCATION:${escapeText([tournament.location, tournament.address].filter(Boolean).join(', '))}`,
+    `DESCRIPTION:${escapeText(details.join('\n'))}`,
+    `CATEGORIES:${escapeText(tournament.category)}`,
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    ...(tournament.registrationLink ? [`URL:${tournament.registrationLink}`] : []),
+    'END:VEVENT'
+  ];
+};
+
+// A VCALENDAR with one event per tournament
+const buildCalendar = (tournaments, { name = 'Aspire Chess Academy Tournaments' } = {}) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//Aspire Chess Academy//Tournaments//EN',
+  'CALSCALE:GREGORIAN',
+  `X-WR-CALNAME:${escapeText(name)}`,
+  `X-WR-TIMEZONE:${timezone()}`,
+  'REFRESH-INTERVAL;VALUE=DURATION:PT6H',
+  'X-PUBLISHED-TTL:PT6H',
+  ...tournaments.flatMap(toEvent),
+  'END:VCALENDAR'
+].map(foldLine).join('\r\n') + '\r\n';
+
+module.exports = { buildCalendar };
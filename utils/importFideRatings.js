@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const { importFideRatingList } = require('./fideImport');
+require('dotenv').config();
+
+// Usage: npm run import:fide -- <file> [--list standard|rapid|blitz] [--period YYYY-MM] [--dry-run]
+const parseArgs = (args) => {
+  const options = { list: 'standard', dryRun: false };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--list') {
+      options.list = args[++i];
+    } else if (args[i] === '--period') {
+      options.period = new Date(`${args[++i]}-01T00:00:00Z`);
+    } else if (args[i] === '--dry-run') {
+      options.dryRun = true;
+    } else {
+      options.file = args[i];
+    }
+  }
+
+  return options;
+};
+
+const importFideRatings = async () => {
+  const { file, ...options } = parseArgs(process.argv.slice(2));
+
+  if (!file) {
+    console.error('Usage: npm run import:fide -- <file> [--list standard|rapid|blitz] [--period YYYY-MM] [--dry-run]');
+    process.exit(1);
+  }
+
+  if (options.period && isNaN(options.period)) {
+    console.error('Period must be in YYYY-MM format');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const report = await importFideRatingList(file, options);
+
+    console.log(`Format: ${report.format}, period: ${report.period.toISOString().slice(0, 10)}${report.dryRun ? ' (dry run)' : ''}`);
+    console.log(`Students with FIDE ID: ${report.studentsWithFideId}, matched: ${report.matched}`);
+
+    console.log(`Changed: ${report.changed.length}`);
+    report.changed.forEach(item => {
+      const changes = item.changes.map(change => `${change.field} ${change.before ?? '-'} -> ${change.after}`).join(', ');
+      console.log(`  ${item.name} (${item.fideId}): ${changes}`);
+    });
+
+    console.log(`Unchanged: ${report.unchanged.length}`);
+    console.log(`Unmatched: ${report.unmatched.length}`);
+    report.unmatched.forEach(item => console.log(`  ${item.name} (${item.fideId})`));
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error importing FIDE ratings:', error);
+    process.exit(1);
+  }
+};
+
+importFideRatings();
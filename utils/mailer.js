@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Mail transports selected with MAIL_TRANSPORT:
+//   smtp    - real delivery through SMTP_* settings (production)
+//   file    - writes each message as JSON into MAIL_OUTBOX_DIR (local/tests)
+//   console - logs each message (default outside production)
+// Production must use smtp: the other transports would put reset, invitation
+// and withdraw links, which work as tokens, into files or the logs.
+const transports = {
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASSWORD
+      } : undefined
+    });
+
+    return (message) => transporter.sendMail(message);
+  },
+
+  file: () => {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'mail-outbox');
+
+    return async (message) => {
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+      const fileName = `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`;
+      await fs.promises.writeFile(path.join(outboxDir, fileName), JSON.stringify(message, null, 2));
+      return { messageId: fileName };
+    };
+  },
+
+  console: () => async (message) => {
+    console.log('Outgoing email:', JSON.stringify(message, null, 2));
+    return { messageId: `console-${Date.now()}` };
+  }
+};
+
+let send = null;
+
+// Name of the configured transport; throws if it is unknown or not allowed
+const transportName = () => {
+  const production = process.env.NODE_ENV === 'production';
+  const name = process.env.MAIL_TRANSPORT || (production ? null : 'console');
+
+  if (!name) {
+    throw new Error('MAIL_TRANSPORT must be set to smtp in production');
+  }
+  if (!transports[name]) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  if (production && name !== 'smtp') {
+    throw new Error(`MAIL_TRANSPORT=${name} is not allowed in production; use smtp`);
+  }
+  if (name === 'smtp' && !process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST is required for the smtp mail transport');
+  }
+  return name;
+};
+
+const getTransport = () => {
+  if (!send) {
+    send = transports[transportName()]();
+  }
+  return send;
+};
+
+// Check the mail settings at startup so a misconfigured server fails early
+const checkMailConfig = () => {
+  transportName();
+};
+
+// Replace the active transport, e.g. with a capturing stub in tests
+const setTransport = (transport) => {
+  send = transport;
+};
+
+const sendMail = ({ to, subject, text, html }) => {
+  return getTransport()({
+    from: process.env.MAIL_FROM || 'Aspire Chess Academy <no-reply@aspirechess.com>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = { sendMail, setTransport, checkMailConfig };
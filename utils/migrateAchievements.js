@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const Student = require('../models/Student');
+require('dotenv').config();
+
+// One-off migration from plain-text achievements to structured ones. Each
+// string becomes { title, type: 'other' }; dates, tournaments and placements
+// can then be filled in from the admin. Students are readable without this
+// (strings are converted on load), but searches and tournament results only
+// see migrated documents.
+const migrateAchievements = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // Read raw documents so the schema does not convert them first
+    const legacyStudents = await Student.collection.find({
+      achievements: { $elemMatch: { $type: 'string' } }
+    }).toArray();
+
+    console.log(`Found ${legacyStudents.length} students with text achievements`);
+
+    for (const raw of legacyStudents) {
+      const achievements = raw.achievements.map(achievement => (typeof achievement === 'string'
+        ? {
+          _id: new mongoose.Types.ObjectId(),
+          title: achievement,
+          type: 'other',
+          date: null,
+          tournament: null,
+          placement: null
+        }
+        : achievement));
+
+      await Student.collection.updateOne({ _id: raw._id }, { $set: { achievements } });
+      console.log(`Migrated ${raw.name}: ${achievements.length} achievements`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating achievements:', error);
+    process.exit(1);
+  }
+};
+
+migrateAchievements();
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const Tournament = require('../models/Tournament');
+const Revision = require('../models/Revision');
+const { TOURNAMENT_FORMATS } = require('../config/pairing');
+require('dotenv').config();
+
+// One-off migration from free-text formats to the format choice. The old
+// text is kept as formatNotes and the format guessed from it, defaulting to
+// Swiss; check the log and correct any that were guessed wrong. Revision
+// snapshots are converted too so rollbacks keep working.
+const guessFormat = (text) => {
+  if (/knock.?out|elimination|cup/i.test(text)) return 'knockout';
+  if (/double/i.test(text) && /robin|all.?play.?all/i.test(text)) return 'double_round_robin';
+  if (/robin|all.?play.?all|berger/i.test(text)) return 'round_robin';
+  return 'swiss';
+};
+
+const migrateFormats = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // Raw documents, including trashed ones, so the enum does not reject them
+    const legacyTournaments = await Tournament.collection.find({
+      format: { $nin: TOURNAMENT_FORMATS }
+    }).toArray();
+
+    console.log(`Found ${legacyTournaments.length} tournaments with a text format`);
+
+    for (const raw of legacyTournaments) {
+      const format = guessFormat(raw.format || '');
+      await Tournament.collection.updateOne(
+        { _id: raw._id },
+        { $set: { format, formatNotes: (raw.format || '').slice(0, 100) } }
+      );
+      console.log(`${raw.name}: "${raw.format}" -> ${format}`);
+    }
+
+    const legacyRevisions = await Revision.collection.find({
+      entityType: 'Tournament',
+      'snapshot.format': { $nin: TOURNAMENT_FORMATS }
+    }).toArray();
+
+    for (const raw of legacyRevisions) {
+      await Revision.collection.updateOne(
+        { _id: raw._id },
+        {
+          $set: {
+            'snapshot.format': guessFormat(raw.snapshot.format || ''),
+            'snapshot.formatNotes': (raw.snapshot.format || '').slice(0, 100)
+          }
+        }
+      );
+    }
+
+    console.log(`Converted ${legacyRevisions.length} revision snapshots`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating tournament formats:', error);
+    process.exit(1);
+  }
+};
+
+migrateFormats();
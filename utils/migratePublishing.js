@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+const Student = require('../models/Student');
+require('dotenv').config();
+
+// One-off migration for the publishing workflow. Students created before it
+// have no `status` and would disappear from the public site; mark them
+// published as of their creation date so visibility is unchanged (inactive
+// students stay hidden through isActive).
+const migratePublishing = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const result = await Student.collection.updateMany(
+      { status: { $exists: false } },
+      [{ $set: { status: 'published', publishedAt: '$createdAt', publishAt: null, expiresAt: null } }]
+    );
+
+    console.log(`Marked ${result.modifiedCount} students as published`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating students to the publishing workflow:', error);
+    process.exit(1);
+  }
+};
+
+migratePublishing();
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const Student = require('../models/Student');
+const RatingEntry = require('../models/RatingEntry');
+require('dotenv').config();
+
+// One-off migration from the old free-text `rating` / `peakRating` fields to
+// numeric ratings with history. Values are recorded in the FIDE pool when the
+// student has a FIDE ID, otherwise in the classical pool. Students whose text
+// cannot be read as a number are reported and left untouched.
+
+// "2380", "1800+ FIDE", "Rating: 2,150" -> first 3-4 digit number
+const parseRating = (value) => {
+  if (value === undefined || value === null) return null;
+  const match = String(value).replace(/,/g, '').match(/\d{3,4}/);
+  return match ? parseInt(match[0]) : null;
+};
+
+const migrateRatings = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // Read raw documents: the old fields are no longer in the schema
+    const legacyStudents = await Student.collection.find({
+      $or: [{ rating: { $type: 'string' } }, { peakRating: { $type: 'string' } }]
+    }).toArray();
+
+    console.log(`Found ${legacyStudents.length} students with legacy ratings`);
+
+    let migrated = 0;
+    const skipped = [];
+
+    for (const raw of legacyStudents) {
+      const rating = parseRating(raw.rating);
+      const peakRating = parseRating(raw.peakRating);
+
+      if (rating === null && peakRating === null) {
+        skipped.push({ id: raw._id, name: raw.name, rating: raw.rating, peakRating: raw.peakRating });
+        continue;
+      }
+
+      const type = raw.fideId ? 'fide' : 'classical';
+      const entries = [];
+
+      // The old peak has no date; place it at the student's creation so the
+      // current rating stays the latest entry
+      if (peakRating !== null && peakRating !== rating) {
+        entries.push({
+          student: raw._id,
+          type,
+          rating: peakRating,
+          date: raw.createdAt || new Date(0),
+          source: 'migration',
+          note: `Migrated peak rating "${raw.peakRating}"`
+        });
+      }
+      if (rating !== null) {
+        entries.push({
+          student: raw._id,
+          type,
+          rating,
+          date: new Date(),
+          source: 'migration',
+          note: `Migrated rating "${raw.rating}"`
+        });
+      }
+
+      await RatingEntry.insertMany(entries);
+      await Student.collection.updateOne({ _id: raw._id }, { $unset: { rating: '', peakRating: '' } });
+
+      const student = await Student.findById(raw._id);
+      await student.syncRatings();
+
+      migrated++;
+      console.log(`Migrated ${raw.name}: ${type} ${student.ratings[type]} (peak ${student.peakRatings[type]})`);
+    }
+
+    console.log(`Migrated ${migrated} students`);
+    if (skipped.length > 0) {
+      console.log(`Skipped ${skipped.length} students with unreadable ratings (fix manually):`);
+      skipped.forEach(item => console.log(`  ${item.id} ${item.name}: rating="${item.rating}" peakRating="${item.peakRating}"`));
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating ratings:', error);
+    process.exit(1);
+  }
+};
+
+migrateRatings();
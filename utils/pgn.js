@@ -0,0 +1,247 @@
+const { START_FEN, replay } = require('./chessMoves');
+
+// Reading and writing PGN (Portable Game Notation) files. A file holds one or
+// more games, each a block of [Tag "value"] pairs followed by the movetext,
+// which ends with the result. Comments, variations and NAGs are kept in the
+// stored movetext but only the main line is replayed to check the moves.
+
+// The Seven Tag Roster every PGN game must carry, in export order
+const ROSTER = ['Event', 'Site', 'Date', 'Round', 'White', 'Black', 'Result'];
+
+const RESULTS = ['1-0', '0-1', '1/2-1/2', '*'];
+
+const DATE_PATTERN = /^(\d{4}|\?{4})\.(\d{2}|\?{2})\.(\d{2}|\?{2})$/;
+
+// Sticky, so a tag is matched in place without copying the rest of the file
+const TAG_PATTERN = /\[\s*([A-Za-z0-9_]+)\s+"((?:[^"\\]|\\.)*)"\s*\]/y;
+
+// A move, number, result or NAG; a stray "]" or "}" is read on its own as junk
+const SYMBOL_PATTERN = /[^\s{}()[\];]+|[\]}]/y;
+
+// Tokens of a PGN file: { type, value, line, start, end }. Types are tag,
+// comment, open/close (variations), nag, number, result, move and junk.
+const tokenize = (text) => {
+  const tokens = [];
+  let line = 1;
+  let index = 0;
+
+  const push = (type, value, start) => tokens.push({ type, value, line, start, end: index });
+
+  while (index < text.length) {
+    const char = text[index];
+    const start = index;
+
+    if (char === '\n') {
+      line++;
+      index++;
+    } else if (char === '%' && (start === 0 || text[start - 1] === '\n')) {
+      // '%' in the first column escapes the rest of the line
+      while (index < text.length && text[index] !== '\n') index++;
+    } else if (/\s/.test(char)) {
+      index++;
+    } else if (char === '[') {
+      TAG_PATTERN.lastIndex = index;
+      const match = TAG_PATTERN.exec(text);
+      if (match) {
+        index += match[0].length;
+        push('tag', { name: match[1], value: match[2].replace(/\\(.)/g, '$1') }, start);
+      } else {
+        while (index < text.length && text[index] !== '\n') index++;
+        push('junk', text.slice(start, index), start);
+      }
+    } else if (char === '{') {
+      const close = text.indexOf('}', index);
+      const startLine = line;
+      index = close === -1 ? text.length : close + 1;
+      const value = text.slice(start, index);
+      line += (value.match(/\n/g) || []).length;
+      tokens.push({ type: close === -1 ? 'junk' : 'comment', value, line: startLine, start, end: index });
+    } else if (char === ';') {
+      while (index < text.length && text[index] !== '\n') index++;
+      push('comment', text.slice(start, index), start);
+    } else if (char === '(' || char === ')') {
+      index++;
+      push(char === '(' ? 'open' : 'close', char, start);
+    } else {
+      SYMBOL_PATTERN.lastIndex = index;
+      const value = SYMBOL_PATTERN.exec(text)[0];
+      index += value.length;
+
+      if (value === ']' || value === '}') {
+        push('junk', value, start);
+      } else if (RESULTS.includes(value)) {
+        push('result', value, start);
+      } else if (/^\$\d+$/.test(value) || /^[!?]{1,2}$/.test(value)) {
+        push('nag', value, start);
+      } else if (/^\d+\.*$/.test(value)) {
+        push('number', value, start);
+      } else {
+        // Move numbers are often written against the move: "1.e4", "12...Nf6"
+        const move = value.replace(/^\d+\.+/, '');
+        push(move ? 'move' : 'junk', move || value, start);
+      }
+    }
+  }
+
+  return tokens;
+};
+
+// Split a PGN file into games without checking them. Each game is { line,
+// headers, moves, movetext, result, errors } where `headers` keeps the tags
+// in file order, `moves` is the main line in SAN and `errors` lists what was
+// wrong with the file's syntax. Replaying the moves is much slower than
+// splitting, so callers can check the number of games before validateGame.
+const splitPgn = (text) => {
+  const source = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const tokens = tokenize(source);
+  const games = [];
+  let game = null;
+  let depth = 0;
+
+  const startGame = (token) => {
+    game = { line: token.line, headers: {}, moves: [], movetext: '', result: null, errors: [], from: null };
+    depth = 0;
+  };
+
+  const finishGame = (token) => {
+    if (game.from !== null) {
+      game.movetext = source.slice(game.from, token ? token.end : source.length).trim();
+    }
+    if (depth !== 0) game.errors.push('Unbalanced parentheses in the variations');
+    delete game.from;
+    games.push(game);
+    game = null;
+  };
+
+  tokens.forEach(token => {
+    if (token.type === 'tag' && game && game.from !== null) {
+      // Tags after movetext start the next game; this one never ended
+      game.errors.push('Movetext does not end with a result (1-0, 0-1, 1/2-1/2 or *)');
+      finishGame(null);
+    }
+    if (!game) startGame(token);
+
+    if (token.type === 'tag') {
+      if (token.value.name in game.headers) {
+        game.errors.push(`Duplicate tag ${token.value.name}`);
+      }
+      game.headers[token.value.name] = token.value.value;
+      return;
+    }
+
+    if (game.from === null) game.from = token.start;
+
+    if (token.type === 'junk') {
+      game.errors.push(`Line ${token.line}: cannot read "${token.value.slice(0, 40)}"`);
+    } else if (token.type === 'open') {
+      depth++;
+    } else if (token.type === 'close') {
+      if (depth === 0) {
+        game.errors.push(`Line ${token.line}: ")" without a matching "("`);
+      } else {
+        depth--;
+      }
+    } else if (token.type === 'move' && depth === 0) {
+      game.moves.push(token.value);
+    } else if (token.type === 'result' && depth === 0) {
+      game.result = token.value;
+      finishGame(token);
+    }
+  });
+
+  if (game && (game.from !== null || Object.keys(game.headers).length > 0)) {
+    game.errors.push('Movetext does not end with a result (1-0, 0-1, 1/2-1/2 or *)');
+    finishGame(null);
+  }
+
+  return games;
+};
+
+// Check the tag roster, result and moves of a parsed game, adding to its errors
+const validateGame = (game) => {
+  const { headers } = game;
+
+  const missing = ROSTER.filter(name => !(name in headers));
+  if (missing.length > 0) {
+    game.errors.push(`Missing required tags: ${missing.join(', ')}`);
+  }
+
+  if ('Date' in headers && !DATE_PATTERN.test(headers.Date)) {
+    game.errors.push(`Date "${headers.Date}" is not in YYYY.MM.DD form (use ?? for unknown parts)`);
+  }
+
+  if ('Result' in headers && !RESULTS.includes(headers.Result)) {
+    game.errors.push(`Result tag "${headers.Result}" must be one of: ${RESULTS.join(', ')}`);
+  } else if ('Result' in headers && game.result && headers.Result !== game.result) {
+    game.errors.push(`Result tag ${headers.Result} does not match the movetext result ${game.result}`);
+  }
+
+  let fen = START_FEN;
+  if (headers.SetUp === '1') {
+    if (!headers.FEN) {
+      game.errors.push('SetUp is 1 but there is no FEN tag');
+      return;
+    }
+    fen = headers.FEN;
+  }
+
+  const replayed = replay(game.moves, fen);
+  if (replayed.error) game.errors.push(replayed.error);
+};
+
+// Split a PGN file into games and check each of them
+const parsePgn = (text) => {
+  const games = splitPgn(text);
+  games.forEach(validateGame);
+  return games;
+};
+
+const escapeTag = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+
+// Movetext split into lines of at most 80 characters (PGN export format)
+const wrap = (movetext) => {
+  const lines = [];
+  let current = '';
+  movetext.split(/\s+/).filter(Boolean).forEach(word => {
+    if (current && current.length + 1 + word.length > 80) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  });
+  if (current) lines.push(current);
+  return lines.join('\n');
+};
+
+// Placeholders the PGN standard uses for unknown roster values
+const UNKNOWN = { Date: '????.??.??', Result: '*' };
+
+// One game as PGN text: the roster in its standard order, then the other tags.
+// `headers` is a plain object or a Map (as stored on Game).
+const toPgn = ({ headers, movetext }) => {
+  const values = headers instanceof Map ? Object.fromEntries(headers) : headers;
+  const names = [
+    ...ROSTER,
+    ...Object.keys(values).filter(name => !ROSTER.includes(name))
+  ];
+  const tags = names.map(name => `[${name} "${escapeTag(values[name] ?? UNKNOWN[name] ?? '?')}"]`);
+
+  // Comments may span lines and hold text of their own, so only plain movetext is re-wrapped
+  const body = /[{;%]/.test(movetext) ? movetext : wrap(movetext);
+
+  return `${tags.join('\n')}\n\n${body}\n`;
+};
+
+// Several games as one file, separated by blank lines
+const toPgnFile = (games) => games.map(toPgn).join('\n');
+
+module.exports = {
+  ROSTER,
+  RESULTS,
+  splitPgn,
+  validateGame,
+  parsePgn,
+  toPgn,
+  toPgnFile
+};
@@ -0,0 +1,93 @@
+const Student = require('../models/Student');
+const Tournament = require('../models/Tournament');
+const Enrollment = require('../models/Enrollment');
+const RatingEntry = require('../models/RatingEntry');
+const Revision = require('../models/Revision');
+const Registration = require('../models/Registration');
+const Round = require('../models/Round');
+const Game = require('../models/Game');
+const { recordAudit } = require('./audit');
+const { revisionImageUrls, deleteImages } = require('./revisions');
+
+// Trashed documents are kept for TRASH_RETENTION_DAYS, then purged for good
+// along with their Cloudinary images (current and from earlier revisions) and
+// dependent records.
+
+const DEFAULT_RETENTION_DAYS = 30;
+const PURGE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+const retentionDays = () => parseInt(process.env.TRASH_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS;
+
+// When a document trashed at `deletedAt` will be purged
+const purgeDate = (deletedAt) => new Date(deletedAt.getTime() + retentionDays() * 24 * 60 * 60 * 1000);
+
+const TRASHABLE = {
+  Student: {
+    model: Student,
+    cleanup: async (student) => {
+      await deleteImages([student.image, ...await revisionImageUrls('Student', student._id)]);
+      await RatingEntry.deleteMany({ student: student._id });
+      await Revision.deleteMany({ entityType: 'Student', entityId: student._id });
+    }
+  },
+  Tournament: {
+    model: Tournament,
+    cleanup: async (tournament) => {
+      await deleteImages([tournament.posterImage, ...await revisionImageUrls('Tournament', tournament._id)]);
+      await Revision.deleteMany({ entityType: 'Tournament', entityId: tournament._id });
+      await Round.deleteMany({ tournament: tournament._id });
+      await Game.deleteMany({ tournament: tournament._id });
+      await Registration.deleteMany({ tournament: tournament._id });
+    }
+  },
+  Enrollment: {
+    model: Enrollment,
+    cleanup: async () => {}
+  }
+};
+
+// Permanently remove documents trashed before the retention cutoff. A document
+// whose cleanup fails stays in the trash and is retried on the next run.
+const purgeTrash = async ({ days = retentionDays(), now = new Date() } = {}) => {
+  const cutoff = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+  const report = { cutoff, purged: {}, failed: [] };
+
+  for (const [entityType, { model, cleanup }] of Object.entries(TRASHABLE)) {
+    const expired = await model.find({ deletedAt: { $ne: null, $lte: cutoff } });
+    report.purged[entityType] = 0;
+
+    for (const doc of expired) {
+      try {
+        await cleanup(doc);
+        await model.deleteOne({ _id: doc._id, deletedAt: { $ne: null } });
+        await recordAudit(null, { action: 'purge', entityType, entity: doc, before: doc });
+        report.purged[entityType]++;
+      } catch (error) {
+        console.error(`Failed to purge ${entityType} ${doc._id}:`, error);
+        report.failed.push({ entityType, id: doc._id });
+      }
+    }
+  }
+
+  return report;
+};
+
+// Run the purge now and then once a day
+const startTrashPurgeJob = () => {
+  const run = async () => {
+    try {
+      const report = await purgeTrash();
+      const total = Object.values(report.purged).reduce((sum, count) => sum + count, 0);
+      if (total > 0 || report.failed.length > 0) {
+        console.log(`Trash purge: removed ${total} items older than ${retentionDays()} days`, report.purged);
+      }
+    } catch (error) {
+      console.error('Trash purge error:', error);
+    }
+  };
+
+  run();
+  return setInterval(run, PURGE_INTERVAL_MS).unref();
+};
+
+module.exports = { purgeTrash, purgeDate, retentionDays, startTrashPurgeJob };
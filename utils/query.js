@@ -0,0 +1,21 @@
+// Helpers for building list queries from request input.
+
+// Opaque cursors for keyset pagination: the sort key values of the last item
+// on a page, as base64url JSON.
+
+const encodeCursor = (values) => Buffer.from(JSON.stringify(values)).toString('base64url');
+
+// Returns null for anything that is not a cursor we issued
+const decodeCursor = (cursor) => {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return values && typeof values === 'object' && !Array.isArray(values) ? values : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Escape user input for use inside a RegExp
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = { encodeCursor, decodeCursor, escapeRegex };
@@ -0,0 +1,42 @@
+const { sendMail } = require('./mailer');
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+
+const withdrawUrl = (tournament, token) =>
+  `${frontendUrl()}/tournaments/${tournament._id}/withdraw?token=${token}`;
+
+const formatDate = (date) => new Date(date).toDateString();
+
+// Confirmation or waitlist notice for a new registration. The withdraw token
+// is only available at this point, so the link must go out in this email.
+const sendRegistrationEmail = (registration, tournament, { withdrawToken, waitlistPosition }) => {
+  const intro = registration.status === 'confirmed'
+    ? `Your place in ${tournament.name} is confirmed.`
+    : `${tournament.name} is currently full, so you have been added to the waitlist at position ${waitlistPosition}. We will email you if a place becomes available.`;
+
+  return sendMail({
+    to: registration.email,
+    subject: registration.status === 'confirmed'
+      ? `Registration confirmed: ${tournament.name}`
+      : `Waitlisted: ${tournament.name}`,
+    text: `Hi ${registration.playerName},\n\n${intro}\n\nDate: ${formatDate(tournament.date)} ${tournament.time}\nVenue: ${tournament.location}\n\nIf you can no longer play, withdraw here: ${withdrawUrl(tournament, withdrawToken)}`
+  });
+};
+
+// Tell waitlisted players they now have a place. Delivery failures are
+// logged rather than thrown; the promotion itself has already happened.
+const notifyPromotions = async (tournament, promoted) => {
+  for (const registration of promoted) {
+    try {
+      await sendMail({
+        to: registration.email,
+        subject: `A place has opened up: ${tournament.name}`,
+        text: `Hi ${registration.playerName},\n\nA place has become available in ${tournament.name} and your registration is now confirmed.\n\nDate: ${formatDate(tournament.date)} ${tournament.time}\nVenue: ${tournament.location}\n\nIf you can no longer play, please use the withdraw link from your original registration email.`
+      });
+    } catch (error) {
+      console.error('Promotion email error:', error);
+    }
+  }
+};
+
+module.exports = { sendRegistrationEmail, notifyPromotions };
@@ -0,0 +1,141 @@
+const Revision = require('../models/Revision');
+const { deleteFromCloudinary, extractPublicId } = require('../config/cloudinary');
+const { diffObjects, toPlain } = require('./audit');
+
+// Editorial content that is versioned and can be rolled back. Derived data
+// (ratings), workflow state, visibility, ordering and results are left out so
+// a rollback never changes them.
+const REVISIONED_FIELDS = {
+  Student: ['name', 'title', 'fideId', 'program', 'achievements', 'joinDate', 'testimonial', 'image', 'bio', 'featured'],
+  Tournament: [
+    'name', 'date', 'endDate', 'time', 'location', 'address', 'entryFee', 'prizePool', 'maxParticipants',
+    'format', 'formatNotes', 'timeControl', 'totalRounds', 'tiebreaks', 'category', 'registrationLink', 'poster', 'posterImage', 'description', 'listUntil'
+  ]
+};
+
+const IMAGE_FIELDS = { Student: 'image', Tournament: 'posterImage' };
+
+// Revisions kept per record; older ones are pruned along with images only they used
+const DEFAULT_REVISION_RETENTION = 50;
+
+const revisionRetention = () => Math.max(parseInt(process.env.REVISION_RETENTION) || DEFAULT_REVISION_RETENTION, 1);
+
+// Concurrent saves can race for the same version number
+const MAX_VERSION_ATTEMPTS = 3;
+
+const snapshotOf = (entityType, doc) => {
+  const plain = toPlain(doc) || {};
+  return Object.fromEntries(REVISIONED_FIELDS[entityType].map(field => [field, plain[field] ?? null]));
+};
+
+const createRevision = async (req, entityType, doc, { action, before, restoredVersion }) => {
+  const latest = await Revision.findOne({ entityType, entityId: doc._id }).sort({ version: -1 });
+  let previous = latest;
+
+  if (!latest && before && action !== 'create') {
+    previous = await Revision.create({
+      entityType,
+      entityId: doc._id,
+      version: 1,
+      action: 'baseline',
+      snapshot: snapshotOf(entityType, before)
+    });
+  }
+
+  const snapshot = snapshotOf(entityType, doc);
+  const changes = diffObjects(previous ? previous.snapshot : null, snapshot);
+
+  if (previous && changes.length === 0) return null;
+
+  return Revision.create({
+    entityType,
+    entityId: doc._id,
+    version: previous ? previous.version + 1 : 1,
+    action,
+    restoredVersion,
+    snapshot,
+    changes,
+    createdBy: req && req.user ? req.user._id : null,
+    createdByName: req && req.user ? req.user.name : 'system'
+  });
+};
+
+// Record a new revision of `doc` if its content changed since the last one.
+// Pass `before` on updates so records from before revisions existed get a
+// baseline to roll back to. Never throws, like recordAudit.
+const recordRevision = async (req, entityType, doc, { action = 'update', before = null, restoredVersion = null } = {}) => {
+  try {
+    let revision = null;
+    for (let attempt = 1; ; attempt++) {
+      try {
+        revision = await createRevision(req, entityType, doc, { action, before, restoredVersion });
+        break;
+      } catch (error) {
+        // Another save took this version; try again on top of it
+        if (error.code !== 11000 || attempt >= MAX_VERSION_ATTEMPTS) throw error;
+      }
+    }
+
+    if (revision) await pruneRevisions(entityType, doc);
+    return revision;
+  } catch (error) {
+    console.error('Failed to record revision:', error);
+    return null;
+  }
+};
+
+// Drop revisions beyond the newest REVISION_RETENTION, and the images that
+// only they used
+const pruneRevisions = async (entityType, doc) => {
+  const oldestKept = await Revision.findOne({ entityType, entityId: doc._id })
+    .sort({ version: -1 })
+    .skip(revisionRetention() - 1)
+    .select('version');
+  if (!oldestKept) return;
+
+  const pruned = { entityType, entityId: doc._id, version: { $lt: oldestKept.version } };
+  const urls = await Revision.distinct(`snapshot.${IMAGE_FIELDS[entityType]}`, pruned);
+  await Revision.deleteMany(pruned);
+  await deleteUnusedImages(entityType, doc, urls);
+};
+
+// Copy a revision's content back onto the document (not saved)
+const applyRevision = (doc, revision) => {
+  REVISIONED_FIELDS[revision.entityType].forEach(field => {
+    doc.set(field, revision.snapshot[field] ?? undefined);
+  });
+  return doc;
+};
+
+// Every image URL a record's revisions use, so purging it can clean them all up
+const revisionImageUrls = async (entityType, entityId) => {
+  const urls = await Revision.distinct(`snapshot.${IMAGE_FIELDS[entityType]}`, { entityType, entityId });
+  return urls.filter(Boolean);
+};
+
+const deleteImages = async (urls) => {
+  const publicIds = [...new Set(urls.map(extractPublicId).filter(Boolean))];
+  for (const publicId of publicIds) {
+    await deleteFromCloudinary(publicId);
+  }
+};
+
+// Delete those of `urls` that neither `doc` nor any of its kept revisions
+// use. Cleanup failures are logged, not thrown.
+const deleteUnusedImages = async (entityType, doc, urls) => {
+  try {
+    const used = new Set([doc[IMAGE_FIELDS[entityType]], ...await revisionImageUrls(entityType, doc._id)]);
+    await deleteImages(urls.filter(url => url && !used.has(url)));
+  } catch (error) {
+    console.error('Failed to delete unused images:', error);
+  }
+};
+
+module.exports = {
+  REVISIONED_FIELDS,
+  recordRevision,
+  applyRevision,
+  revisionImageUrls,
+  deleteImages,
+  deleteUnusedImages
+};
@@ -0,0 +1,136 @@
+const { rankPlayers } = require('./swissPairing');
+
+// Fixed schedules for round-robin and knockout events. Players are seeded by
+// pairing number (rating order, see rankPlayers); an arbiter can still edit
+// individual rounds afterwards.
+
+// FIDE Berger tables. With n players (plus a dummy when odd) and m = n - 1,
+// round r pairs i and j when i + j = r + 1 (mod m), and player n meets the
+// player with 2i = r + 1 (mod m), taking black in odd rounds and white in
+// even ones. Between i and j, white is the player w for whom (other - w)
+// mod m is odd. Facing the dummy is a rest round. A double round-robin
+// repeats the cycle with colours reversed.
+const bergerRounds = (players, { double = false } = {}) => {
+  const ranked = rankPlayers(players);
+  const n = ranked.length + (ranked.length % 2);
+  const m = n - 1;
+
+  const mod = (value) => ((value % m) + m) % m;
+  const wrap = (number) => mod(number - 1) + 1;
+  const idAt = (number) => (ranked[number - 1] ? ranked[number - 1].id : null);
+
+  const cycle = [];
+  for (let round = 1; round <= m; round++) {
+    const anchor = wrap(mod((round + 1) * (m + 1) / 2));
+    const games = [round % 2 === 1 ? [anchor, n] : [n, anchor]];
+
+    for (let offset = 1; offset < n / 2; offset++) {
+      const up = wrap(anchor + offset);
+      const down = wrap(anchor - offset);
+      games.push(mod(down - up) % 2 === 1 ? [up, down] : [down, up]);
+    }
+
+    cycle.push(games);
+  }
+
+  const schedule = double ? [...cycle, ...cycle.map(games => games.map(([white, black]) => [black, white]))] : cycle;
+
+  return schedule.map((games, index) => {
+    const pairings = [];
+    const byes = [];
+
+    games.forEach(([white, black]) => {
+      if (idAt(white) && idAt(black)) {
+        pairings.push({ board: pairings.length + 1, white: idAt(white), black: idAt(black) });
+      } else {
+        byes.push({ player: idAt(white) || idAt(black), type: 'zero' });
+      }
+    });
+
+    return { number: index + 1, pairings, byes };
+  });
+};
+
+// Bracket order of seeds, e.g. size 8 -> 1, 8, 4, 5, 2, 7, 3, 6, so the top
+// seeds can only meet in the last rounds
+const seedPositions = (size) => {
+  let positions = [1];
+  while (positions.length < size) {
+    const next = positions.length * 2 + 1;
+    positions = positions.flatMap(seed => [seed, next - seed]);
+  }
+  return positions;
+};
+
+const bracketSize = (playerCount) => 2 ** Math.ceil(Math.log2(Math.max(playerCount, 2)));
+
+const bracketRounds = (playerCount) => Math.log2(bracketSize(playerCount));
+
+// 'Final', 'Semi-final', ... for a round with `matches` matches
+const knockoutRoundName = (matches) => {
+  if (matches === 1) return 'Final';
+  if (matches === 2) return 'Semi-final';
+  if (matches === 4) return 'Quarter-final';
+  return `Round of ${matches * 2}`;
+};
+
+// The player going through from a knockout pairing or bye, or null if the
+// game has no decisive result yet and no playoff winner for a draw
+const knockoutWinner = (entry) => {
+  if (entry.player) return entry.player.toString();
+  if (['1-0', '+-'].includes(entry.result)) return entry.white.toString();
+  if (['0-1', '-+'].includes(entry.result)) return entry.black.toString();
+  if (entry.result === '1/2-1/2' && entry.advances) return entry[entry.advances].toString();
+  return null;
+};
+
+// First knockout round. Each match has a bracket `slot`; missing opponents
+// (the bracket is filled up to a power of two) become byes for the top seeds.
+// The higher seed takes white.
+const knockoutFirstRound = (players) => {
+  const ranked = rankPlayers(players);
+  const positions = seedPositions(bracketSize(ranked.length));
+  const pairings = [];
+  const byes = [];
+
+  for (let slot = 0; slot < positions.length / 2; slot++) {
+    const [higher, lower] = [positions[slot * 2], positions[slot * 2 + 1]].map(seed => ranked[seed - 1]);
+
+    if (higher && lower) {
+      pairings.push({ board: pairings.length + 1, slot, white: higher.id, black: lower.id });
+    } else {
+      byes.push({ player: (higher || lower).id, type: 'full', slot });
+    }
+  }
+
+  return { pairings, byes };
+};
+
+// Next knockout round from the winners of `round` (every game decided).
+// Winners of slots 2t and 2t + 1 meet in slot t. Returns null after the final.
+const knockoutNextRound = (players, round) => {
+  const entries = [...round.pairings, ...round.byes];
+  if (entries.length <= 1) return null;
+
+  const seeds = new Map(rankPlayers(players).map(player => [player.id, player.pairingNumber]));
+  const winners = new Map(entries.map(entry => [entry.slot, knockoutWinner(entry)]));
+  const pairings = [];
+
+  for (let slot = 0; slot < entries.length / 2; slot++) {
+    const [higher, lower] = [winners.get(slot * 2), winners.get(slot * 2 + 1)]
+      .sort((a, b) => (seeds.get(a) || Infinity) - (seeds.get(b) || Infinity));
+    pairings.push({ board: slot + 1, slot, white: higher, black: lower });
+  }
+
+  return { pairings, byes: [] };
+};
+
+module.exports = {
+  bergerRounds,
+  bracketSize,
+  bracketRounds,
+  knockoutRoundName,
+  knockoutWinner,
+  knockoutFirstRound,
+  knockoutNextRound
+};
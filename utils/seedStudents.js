@@ -1,13 +1,14 @@
 const mongoose = require('mongoose');
 const Student = require('../models/Student');
+const RatingEntry = require('../models/RatingEntry');
 require('dotenv').config();
 
 const sampleStudents = [
   {
     name: "David Rodriguez",
     title: "FIDE Master",
-    rating: "2380",
-    peakRating: "2400",
+    ratings: { classical: 2380 },
+    peakRatings: { classical: 2400 },
     program: "Elite Training Program",
     achievements: [
       "Gained 400 rating points in 18 months",
@@ -25,8 +26,8 @@ const sampleStudents = [
   {
     name: "Emma Thompson",
     title: "National Champion",
-    rating: "2150",
-    peakRating: "2180",
+    ratings: { classical: 2150 },
+    peakRatings: { classical: 2180 },
     program: "Tactical Mastery Program",
     achievements: [
       "Won National Championship",
@@ -44,8 +45,8 @@ const sampleStudents = [
   {
     name: "Alex Kim",
     title: "Candidate Master",
-    rating: "2050",
-    peakRating: "2080",
+    ratings: { classical: 2050 },
+    peakRatings: { classical: 2080 },
     program: "Foundation to Elite Journey",
     achievements: [
       "0 to 2050 rating in 2 years",
@@ -63,8 +64,8 @@ const sampleStudents = [
   {
     name: "Maria Santos",
     title: "WIM",
-    rating: "2280",
-    peakRating: "2320",
+    ratings: { classical: 2280 },
+    peakRatings: { classical: 2320 },
     program: "Women's Excellence Program",
     achievements: [
       "Women's International Master",
@@ -82,8 +83,8 @@ const sampleStudents = [
   {
     name: "James Wilson",
     title: "Expert",
-    rating: "1950",
-    peakRating: "1980",
+    ratings: { classical: 1950 },
+    peakRatings: { classical: 1980 },
     program: "Adult Improvement Program",
     achievements: [
       "Expert rating achieved",
@@ -108,12 +109,36 @@ const seedStudents = async () => {
 
     // Clear existing students
     await Student.deleteMany({});
+    await RatingEntry.deleteMany({});
     console.log('Cleared existing students');
 
-    // Insert sample students
-    await Student.insertMany(sampleStudents);
+    // Insert sample students, published so they show on the public site
+    const students = await Student.insertMany(sampleStudents.map(student => ({
+      ...student,
+      status: 'published',
+      publishedAt: new Date()
+    })));
     console.log('Sample students inserted successfully');
 
+    // Back the sample ratings with history: the peak six months ago, then the current rating
+    const sixMonthsAgo = new Date(Date.now() - 182 * 24 * 60 * 60 * 1000);
+    for (const student of students) {
+      await RatingEntry.create({
+        student: student._id,
+        type: 'classical',
+        rating: student.peakRatings.classical,
+        date: sixMonthsAgo,
+        source: 'seed'
+      });
+      await RatingEntry.create({
+        student: student._id,
+        type: 'classical',
+        rating: student.ratings.classical,
+        source: 'seed'
+      });
+      await student.syncRatings();
+    }
+
     console.log(`Inserted ${sampleStudents.length} students`);
     process.exit(0);
   } catch (error) {
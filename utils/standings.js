@@ -0,0 +1,205 @@
+const { RESULT_POINTS, FORFEIT_RESULTS, BYE_POINTS, DEFAULT_TIEBREAKS } = require('../config/pairing');
+const { knockoutWinner } = require('./schedules');
+
+// Standings from a tournament's rounds, with tiebreaks in the spirit of the
+// FIDE tie-break regulations (C.07):
+//
+//   - a player's unplayed rounds (byes, forfeits, absences) count as games
+//     against a virtual opponent with the player's own score
+//   - when an opponent's score feeds a tiebreak, the opponent's unplayed
+//     rounds count as draws, so byes and forfeits do not inflate it
+//
+// Only rounds with at least one result are counted, and games without a
+// result are left out, so standings can be shown while a tournament is in
+// progress.
+
+const idOf = (value) => (value ? value.toString() : null);
+
+// Per-player games from the counted rounds
+const collectGames = (players, rounds) => {
+  const records = new Map(players.map(player => [idOf(player.id), {
+    player,
+    points: 0,
+    games: [],
+    unplayed: [],
+    wins: 0,
+    advanced: 0
+  }]));
+
+  const counted = rounds.filter(round =>
+    round.pairings.some(pairing => pairing.result) || round.pairings.length === 0);
+
+  counted.forEach(round => {
+    const seen = new Set();
+
+    round.pairings.forEach(pairing => {
+      // A game still in progress counts once its result is in
+      if (!pairing.result) {
+        seen.add(idOf(pairing.white));
+        seen.add(idOf(pairing.black));
+        return;
+      }
+
+      const white = records.get(idOf(pairing.white));
+      const black = records.get(idOf(pairing.black));
+      const points = RESULT_POINTS[pairing.result];
+      const forfeit = FORFEIT_RESULTS.includes(pairing.result);
+      // Knockout stage: a drawn game can still send one player through
+      const through = knockoutWinner(pairing);
+
+      [[white, black, points[0]], [black, white, points[1]]].forEach(([record, opponent, score]) => {
+        if (!record) return;
+        seen.add(idOf(record.player.id));
+        record.points += score;
+        if (score === 1) record.wins++;
+        if (idOf(record.player.id) === through) record.advanced++;
+        if (forfeit || !opponent) {
+          record.unplayed.push(score);
+        } else {
+          record.games.push({ opponent: idOf(opponent.player.id), score });
+        }
+      });
+    });
+
+    (round.byes || []).forEach(bye => {
+      const record = records.get(idOf(bye.player));
+      if (!record) return;
+      seen.add(idOf(bye.player));
+      const score = BYE_POINTS[bye.type] || 0;
+      record.points += score;
+      record.unplayed.push(score);
+      if (score === 1) {
+        record.wins++;
+        record.advanced++;
+      }
+    });
+
+    // Players missing from a counted round (joined late, withdrew) score nothing
+    records.forEach((record, id) => {
+      if (!seen.has(id)) record.unplayed.push(0);
+    });
+  });
+
+  return records;
+};
+
+const TIEBREAK_VALUES = {
+  buchholz: (record, records) => buchholzContributions(record, records).reduce((sum, value) => sum + value, 0),
+
+  buchholz_cut1: (record, records) => {
+    const contributions = buchholzContributions(record, records);
+    if (contributions.length === 0) return 0;
+    return contributions.reduce((sum, value) => sum + value, 0) - Math.min(...contributions);
+  },
+
+  sonneborn_berger: (record, records) =>
+    record.games.reduce((sum, game) => sum + game.score * adjustedScore(records.get(game.opponent)), 0) +
+    record.unplayed.reduce((sum, score) => sum + score * record.points, 0),
+
+  wins: (record) => record.wins
+};
+
+// Opponent scores with their unplayed rounds counted as draws
+const adjustedScore = (record) =>
+  record.games.reduce((sum, game) => sum + game.score, 0) + record.unplayed.length * 0.5;
+
+const buchholzContributions = (record, records) => [
+  ...record.games.map(game => adjustedScore(records.get(game.opponent))),
+  ...record.unplayed.map(() => record.points)
+];
+
+// Points scored against the other members of `group`, or null unless every
+// pair of them has played each other
+const directEncounter = (group) => {
+  const ids = new Set(group.map(row => row.id));
+  const allMet = group.every(row => {
+    const opponents = new Set(row.record.games.map(game => game.opponent));
+    return [...ids].every(id => id === row.id || opponents.has(id));
+  });
+  if (!allMet) return new Map(group.map(row => [row.id, null]));
+
+  return new Map(group.map(row => [
+    row.id,
+    row.record.games
+      .filter(game => ids.has(game.opponent))
+      .reduce((sum, game) => sum + game.score, 0)
+  ]));
+};
+
+// Split rows into tie groups, ordering by each key in turn. Direct encounter
+// is worked out within the group still tied when it is reached.
+const rankGroups = (rows, keys) => {
+  if (keys.length === 0 || rows.length <= 1) return [rows];
+
+  const [key, ...rest] = keys;
+  if (key === 'direct_encounter') {
+    const values = directEncounter(rows);
+    rows.forEach(row => {
+      row.tiebreaks.direct_encounter = values.get(row.id);
+    });
+  }
+
+  const valueOf = (row) => (key === 'points' ? row.points : (row.tiebreaks[key] ?? 0));
+  const sorted = [...rows].sort((a, b) => valueOf(b) - valueOf(a));
+
+  const groups = [];
+  sorted.forEach(row => {
+    const current = groups[groups.length - 1];
+    if (current && valueOf(current[0]) === valueOf(row)) {
+      current.push(row);
+    } else {
+      groups.push([row]);
+    }
+  });
+
+  return groups.flatMap(group => rankGroups(group, rest));
+};
+
+// Standings for `players` ({ id, name, rating, ... }) over `rounds`.
+// Knockout events rank by how far players got before points and tiebreaks.
+// Returns rows { rank, player, points, played, wins, tiebreaks } in order;
+// players tied on everything share a rank.
+const computeStandings = ({ players, rounds, format = 'swiss', tiebreaks }) => {
+  const order = tiebreaks && tiebreaks.length > 0 ? tiebreaks : (DEFAULT_TIEBREAKS[format] || []);
+  const records = collectGames(players, rounds);
+
+  const rows = [...records.entries()].map(([id, record]) => ({
+    id,
+    record,
+    player: record.player,
+    points: record.points,
+    played: record.games.length,
+    wins: record.wins,
+    // Direct encounter depends on who is tied, so it is filled in while ranking
+    tiebreaks: Object.fromEntries(order.map(key => [
+      key,
+      key === 'direct_encounter' ? null : TIEBREAK_VALUES[key](record, records)
+    ]))
+  }));
+
+  if (format === 'knockout') {
+    rows.forEach(row => {
+      row.tiebreaks.stage = row.record.advanced;
+    });
+  }
+
+  const keys = format === 'knockout' ? ['stage', 'points', ...order] : ['points', ...order];
+  let position = 1;
+
+  return rankGroups(rows, keys).flatMap(group => {
+    const rank = position;
+    position += group.length;
+    return group
+      .sort((a, b) => (b.player.rating || 0) - (a.player.rating || 0) || a.player.name.localeCompare(b.player.name))
+      .map(({ player, points, played, wins, tiebreaks: values }) => ({
+        rank,
+        player,
+        points,
+        played,
+        wins,
+        tiebreaks: values
+      }));
+  });
+};
+
+module.exports = { computeStandings };
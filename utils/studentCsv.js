@@ -0,0 +1,131 @@
+const { RATING_TYPES } = require('../config/ratings');
+const { parseCsv, toCsv, unescapeField } = require('./csv');
+
+// Column layout shared by export and import. `id` is blank for new students;
+// when set, the import updates that student instead of creating one.
+const STUDENT_CSV_COLUMNS = [
+  'id',
+  'name',
+  'title',
+  'fideId',
+  'program',
+  'achievements',
+  'joinDate',
+  'testimonial',
+  'bio',
+  'image',
+  'isActive',
+  'displayOrder',
+  ...RATING_TYPES.map(type => `ratings.${type}`)
+];
+
+const REQUIRED_COLUMNS = ['name', 'title', 'program', 'achievements', 'joinDate', 'testimonial', 'bio'];
+
+// Achievement titles share one cell, separated by "|"
+const ACHIEVEMENT_SEPARATOR = '|';
+
+const TRUE_VALUES = ['true', 'yes', '1', 'active'];
+const FALSE_VALUES = ['false', 'no', '0', 'inactive'];
+
+const studentsToCsv = (students) => toCsv([
+  STUDENT_CSV_COLUMNS,
+  ...students.map(student => [
+    student._id.toString(),
+    student.name,
+    student.title,
+    student.fideId,
+    student.program,
+    student.achievements.map(achievement => achievement.title).join(` ${ACHIEVEMENT_SEPARATOR} `),
+    student.joinDate,
+    student.testimonial,
+    student.bio,
+    student.image,
+    student.isActive,
+    student.displayOrder,
+    ...RATING_TYPES.map(type => student.ratings?.[type])
+  ])
+]);
+
+// CSV text -> { columns, unknownColumns, records: [{ line, values }] }.
+// Headers are matched case-insensitively; fully blank rows are skipped.
+const readStudentCsv = (text) => {
+  const [header, ...rows] = parseCsv(text);
+
+  if (!header) {
+    throw new Error('CSV file is empty');
+  }
+
+  const columns = header.map(name =>
+    STUDENT_CSV_COLUMNS.find(column => column.toLowerCase() === name.trim().toLowerCase()) || null
+  );
+
+  const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    throw new Error(`CSV is missing required columns: ${missing.join(', ')}`);
+  }
+
+  const unknownColumns = header.filter((name, index) => !columns[index] && name.trim() !== '');
+
+  const records = [];
+  rows.forEach((row, index) => {
+    if (row.every(value => value.trim() === '')) return;
+
+    const values = {};
+    columns.forEach((column, columnIndex) => {
+      if (column) values[column] = unescapeField((row[columnIndex] || '').trim());
+    });
+    // Line 1 is the header
+    records.push({ line: index + 2, values });
+  });
+
+  return { columns: columns.filter(Boolean), unknownColumns, records };
+};
+
+// Flat CSV values -> request-shaped student data, matching what the
+// create/update endpoints receive. Returns { id, data, errors }.
+const recordToStudentData = (values) => {
+  const data = {};
+  const errors = [];
+
+  ['name', 'title', 'program', 'joinDate', 'testimonial', 'bio'].forEach(field => {
+    data[field] = values[field] || '';
+  });
+
+  ['fideId', 'image', 'displayOrder'].forEach(field => {
+    if (values[field]) data[field] = values[field];
+  });
+
+  data.achievements = (values.achievements || '')
+    .split(ACHIEVEMENT_SEPARATOR)
+    .map(achievement => achievement.trim())
+    .filter(Boolean);
+
+  if (values.isActive) {
+    const flag = values.isActive.toLowerCase();
+    if (TRUE_VALUES.includes(flag)) {
+      data.isActive = true;
+    } else if (FALSE_VALUES.includes(flag)) {
+      data.isActive = false;
+    } else {
+      errors.push({ field: 'isActive', message: 'isActive must be true or false' });
+    }
+  }
+
+  const ratings = {};
+  RATING_TYPES.forEach(type => {
+    if (values[`ratings.${type}`]) ratings[type] = values[`ratings.${type}`];
+  });
+  if (Object.keys(ratings).length > 0) {
+    data.ratings = ratings;
+  }
+
+  return { id: values.id || null, data, errors };
+};
+
+module.exports = {
+  STUDENT_CSV_COLUMNS,
+  ACHIEVEMENT_SEPARATOR,
+  studentsToCsv,
+  readStudentCsv,
+  recordToStudentData
+};
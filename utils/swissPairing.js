@@ -0,0 +1,279 @@
+const { RESULT_POINTS, FORFEIT_RESULTS, BYE_POINTS } = require('../config/pairing');
+
+// Swiss pairings following the main rules of the FIDE Dutch system (C.04.3):
+//
+//   - players are ranked by score, then pairing number (rating order)
+//   - within a score group the top half meets the bottom half (1 v n/2+1, ...),
+//     trying other opponents in that order when a pairing is not allowed
+//   - players who cannot be paired in their group float down to the next one
+//   - nobody meets the same opponent twice, and nobody is given a colour that
+//     would make them play it three times running or leave their colour
+//     balance beyond +/-2
+//   - an odd player out gets the pairing-allocated bye: the lowest ranked
+//     player who has not had one
+//   - colours satisfy both preferences where possible, else the stronger one,
+//     else alternate from the last round the two players had different
+//     colours, else follow the higher ranked player
+//
+// This is a practical implementation for club events, not an endorsed FIDE
+// pairing program: candidates are searched depth-first in Dutch order, so it
+// does not weigh every secondary quality criterion of the official rules.
+
+const ABSOLUTE = 3;
+const STRONG = 2;
+const MILD = 1;
+
+// Upper bound on candidate pairs tried before giving up on a round
+const MAX_SEARCH_STEPS = 200000;
+
+const opposite = (colour) => (colour === 'white' ? 'black' : 'white');
+
+const idOf = (value) => (value ? value.toString() : null);
+
+// Pairing numbers: rating (unrated last), then name
+const rankPlayers = (players) => [...players]
+  .sort((a, b) => (b.rating || 0) - (a.rating || 0) || a.name.localeCompare(b.name))
+  .map((player, index) => ({ ...player, id: idOf(player.id), pairingNumber: index + 1 }));
+
+// Score, colour history and opponents of each player from the rounds so far.
+// `rounds` are in order, each with pairings ({ white, black, result }) and
+// byes ({ player, type }). Forfeited games count for points only; a forfeit
+// win, like a full-point bye, rules the player out of the next bye.
+const playerStates = (players, rounds) => {
+  const states = new Map(rankPlayers(players).map(player => [player.id, {
+    ...player,
+    score: 0,
+    colours: [],
+    opponents: new Set(),
+    hadPairingBye: false
+  }]));
+
+  rounds.forEach(round => {
+    round.pairings.forEach(pairing => {
+      const white = states.get(idOf(pairing.white));
+      const black = states.get(idOf(pairing.black));
+      const points = RESULT_POINTS[pairing.result] || [0, 0];
+
+      if (FORFEIT_RESULTS.includes(pairing.result)) {
+        if (white) {
+          white.score += points[0];
+          if (points[0] === 1) white.hadPairingBye = true;
+        }
+        if (black) {
+          black.score += points[1];
+          if (points[1] === 1) black.hadPairingBye = true;
+        }
+        return;
+      }
+
+      if (white) {
+        white.score += points[0];
+        white.colours.push('white');
+        if (black) white.opponents.add(black.id);
+      }
+      if (black) {
+        black.score += points[1];
+        black.colours.push('black');
+        if (white) black.opponents.add(white.id);
+      }
+    });
+
+    (round.byes || []).forEach(bye => {
+      const player = states.get(idOf(bye.player));
+      if (!player) return;
+      player.score += BYE_POINTS[bye.type] || 0;
+      if (bye.type === 'full') player.hadPairingBye = true;
+    });
+  });
+
+  return states;
+};
+
+// { colour, strength } a player would like next; strength is 0 before any game
+const colourPreference = ({ colours }) => {
+  if (colours.length === 0) return { colour: null, strength: 0 };
+
+  const difference = colours.filter(colour => colour === 'white').length -
+    colours.filter(colour => colour === 'black').length;
+  const last = colours[colours.length - 1];
+  const repeated = colours.length >= 2 && colours[colours.length - 2] === last;
+
+  if (difference > 1) return { colour: 'black', strength: ABSOLUTE };
+  if (difference < -1) return { colour: 'white', strength: ABSOLUTE };
+  if (repeated) return { colour: opposite(last), strength: ABSOLUTE };
+  if (difference === 1) return { colour: 'black', strength: STRONG };
+  if (difference === -1) return { colour: 'white', strength: STRONG };
+  return { colour: opposite(last), strength: MILD };
+};
+
+// Higher score first, then lower pairing number
+const compareRank = (a, b) => b.score - a.score || a.pairingNumber - b.pairingNumber;
+
+const canMeet = (a, b) => {
+  if (a.opponents.has(b.id)) return false;
+  const preferenceA = colourPreference(a);
+  const preferenceB = colourPreference(b);
+  return !(preferenceA.strength === ABSOLUTE && preferenceB.strength === ABSOLUTE &&
+    preferenceA.colour === preferenceB.colour);
+};
+
+// 0 when both preferences can be met, otherwise the weaker clashing strength
+const colourClash = (a, b) => {
+  const preferenceA = colourPreference(a);
+  const preferenceB = colourPreference(b);
+  if (!preferenceA.colour || !preferenceB.colour || preferenceA.colour !== preferenceB.colour) return 0;
+  return Math.min(preferenceA.strength, preferenceB.strength);
+};
+
+// Colour for the higher ranked player `a` against `b`
+const colourFor = (a, b, initialColour) => {
+  const preferenceA = colourPreference(a);
+  const preferenceB = colourPreference(b);
+
+  if (preferenceA.colour && preferenceB.colour && preferenceA.colour !== preferenceB.colour) {
+    return preferenceA.colour;
+  }
+  if (preferenceA.strength !== preferenceB.strength) {
+    return preferenceA.strength > preferenceB.strength ? preferenceA.colour : opposite(preferenceB.colour);
+  }
+  if (preferenceA.colour) {
+    // Same colour, same strength: alternate from the latest round they differed
+    for (let back = 1; back <= Math.min(a.colours.length, b.colours.length); back++) {
+      const colourA = a.colours[a.colours.length - back];
+      const colourB = b.colours[b.colours.length - back];
+      if (colourA !== colourB) return opposite(colourA);
+    }
+    return preferenceA.colour;
+  }
+  // No games yet: odd pairing numbers take the initial colour
+  return a.pairingNumber % 2 === 1 ? initialColour : opposite(initialColour);
+};
+
+// Opponents for the top player `player` in Dutch order: the bottom half of
+// their score group from the mirror position, then the top half, then lower
+// groups. Within each of those, pairings that meet both colour preferences
+// come first.
+const candidatesFor = (player, rest) => {
+  const group = [player, ...rest.filter(other => other.score === player.score)];
+  const half = Math.max(Math.floor(group.length / 2), 1);
+  const tiers = [
+    group.slice(half),
+    group.slice(1, half),
+    rest.filter(other => other.score < player.score)
+  ];
+
+  return tiers.flatMap(tier => tier
+    .map((other, index) => ({ other, index, clash: colourClash(player, other) }))
+    .sort((a, b) => a.clash - b.clash || a.index - b.index)
+    .map(({ other }) => other));
+};
+
+// Depth-first search for a complete pairing of `pool` (sorted by rank)
+const pairPool = (pool, budget) => {
+  if (pool.length === 0) return [];
+
+  const [player, ...rest] = pool;
+  for (const opponent of candidatesFor(player, rest)) {
+    if (--budget.steps < 0) return null;
+    if (!canMeet(player, opponent)) continue;
+
+    const pairs = pairPool(rest.filter(other => other !== opponent), budget);
+    if (pairs) return [[player, opponent], ...pairs];
+  }
+  return null;
+};
+
+// Boards by the higher score, then the score sum, then the higher ranked player
+const compareBoards = ([a1, b1], [a2, b2]) =>
+  Math.max(a2.score, b2.score) - Math.max(a1.score, b1.score) ||
+  (a2.score + b2.score) - (a1.score + b1.score) ||
+  Math.min(a1.pairingNumber, b1.pairingNumber) - Math.min(a2.pairingNumber, b2.pairingNumber);
+
+// Pair the next round. `players` are those taking part ({ id, name, rating });
+// `previousPlayers` everyone who played in `rounds`, for the history.
+// `requestedByes` maps player id -> 'half' | 'zero' for players sitting out.
+// Returns { pairings: [{ board, white, black }], byes: [{ player, type }] },
+// or null if no pairing satisfies the rules.
+const pairSwissRound = ({ players, previousPlayers = [], rounds = [], requestedByes = {}, initialColour = 'white' }) => {
+  const everyone = new Map([...previousPlayers, ...players].map(player => [idOf(player.id), player]));
+  const states = playerStates([...everyone.values()], rounds);
+
+  const byes = [];
+  const pool = [];
+  players.forEach(player => {
+    const id = idOf(player.id);
+    if (requestedByes[id]) {
+      byes.push({ player: id, type: requestedByes[id] });
+    } else {
+      pool.push(states.get(id));
+    }
+  });
+  pool.sort(compareRank);
+
+  // Bye candidates: lowest ranked first, those who already had one last
+  const byeCandidates = pool.length % 2 === 0
+    ? [null]
+    : [...pool].reverse().sort((a, b) => a.hadPairingBye - b.hadPairingBye);
+
+  const budget = { steps: MAX_SEARCH_STEPS };
+
+  for (const byePlayer of byeCandidates) {
+    const pairs = pairPool(pool.filter(player => player !== byePlayer), budget);
+    if (!pairs) {
+      if (budget.steps < 0) return null;
+      continue;
+    }
+
+    const pairings = pairs
+      .map(pair => [...pair].sort(compareRank))
+      .sort(compareBoards)
+      .map(([higher, lower], index) => {
+        const colour = colourFor(higher, lower, initialColour);
+        return {
+          board: index + 1,
+          white: colour === 'white' ? higher.id : lower.id,
+          black: colour === 'white' ? lower.id : higher.id
+        };
+      });
+
+    return {
+      pairings,
+      byes: byePlayer ? [{ player: byePlayer.id, type: 'full' }, ...byes] : byes
+    };
+  }
+
+  return null;
+};
+
+// Rule breaches in a set of pairings (e.g. an arbiter's manual changes),
+// judged against the rounds before it. Returns messages; empty when clean.
+const pairingWarnings = ({ players, rounds, pairings }) => {
+  const states = playerStates(players, rounds);
+  const warnings = [];
+
+  pairings.forEach(pairing => {
+    const white = states.get(idOf(pairing.white));
+    const black = states.get(idOf(pairing.black));
+    if (!white || !black) return;
+
+    if (white.opponents.has(black.id)) {
+      warnings.push(`Board ${pairing.board}: ${white.name} and ${black.name} have already played each other`);
+    }
+    [[white, 'white'], [black, 'black']].forEach(([player, colour]) => {
+      const preference = colourPreference(player);
+      if (preference.strength === ABSOLUTE && preference.colour !== colour) {
+        warnings.push(`Board ${pairing.board}: ${player.name} must not have ${colour} this round`);
+      }
+    });
+  });
+
+  return warnings;
+};
+
+module.exports = {
+  rankPlayers,
+  playerStates,
+  colourPreference,
+  pairSwissRound,
+  pairingWarnings
+};
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+// Record a new login session for the device making the request
+const startSession = (user, req) => {
+  return Session.create({
+    user: user._id,
+    ip: req.ip,
+    userAgent: (req.get('User-Agent') || '').slice(0, 500),
+    expiresAt: refreshExpiry()
+  });
+};
+
+// Short-lived access token; `tv` must match the user's tokenVersion and
+// `sid` an unrevoked session to be accepted
+const generateAccessToken = (user, session) => {
+  return jwt.sign({ id: user._id, tv: user.tokenVersion, sid: session._id }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m'
+  });
+};
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+// Create and store a new refresh token, returning the raw value for the client
+const issueRefreshToken = async (user, session, ip, token = newRefreshToken()) => {
+  await RefreshToken.create({
+    user: user._id,
+    session: session._id,
+    tokenHash: hashToken(token),
+    expiresAt: refreshExpiry(),
+    createdByIp: ip
+  });
+
+  return token;
+};
+
+// Access + refresh token pair returned on login and refresh
+const issueTokenPair = async (user, session, ip) => ({
+  token: generateAccessToken(user, session),
+  refreshToken: await issueRefreshToken(user, session, ip)
+});
+
+// Keep a session alive after a successful refresh
+const touchSession = (session) => {
+  session.lastSeenAt = new Date();
+  session.expiresAt = refreshExpiry();
+  return session.save();
+};
+
+// End one session and every refresh token issued for it. The tokens are not
+// marked as rotated, so a later refresh with one is rejected without being
+// taken for token reuse (which would end every other session too).
+const revokeSession = async (session, reason = 'revoked') => {
+  await session.revoke(reason);
+  await RefreshToken.updateMany(
+    { session: session._id, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+// Short-lived token proving the password step of a two-factor login succeeded
+const generateTwoFactorChallenge = (user) => {
+  return jwt.sign({ id: user._id, purpose: '2fa' }, process.env.JWT_SECRET, {
+    expiresIn: '5m'
+  });
+};
+
+// Returns the user id from a valid challenge token, or null
+const verifyTwoFactorChallenge = (challenge) => {
+  try {
+    const decoded = jwt.verify(challenge, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const findRefreshToken = (token) => {
+  return RefreshToken.findOne({ tokenHash: hashToken(token) });
+};
+
+// Rotate `stored` for a new token pair. The old token is claimed atomically,
+// so of two refreshes racing with the same token only one gets a pair;
+// returns null for the other.
+const rotateRefreshToken = async (stored, user, session, ip) => {
+  const refreshToken = newRefreshToken();
+
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, revokedAt: null },
+    { revokedAt: new Date(), replacedByHash: hashToken(refreshToken) }
+  );
+  if (!claimed) return null;
+
+  await issueRefreshToken(user, session, ip, refreshToken);
+  return {
+    token: generateAccessToken(user, session),
+    refreshToken
+  };
+};
+
+const revokeRefreshToken = async (stored, replacedByToken) => {
+  stored.revokedAt = new Date();
+  if (replacedByToken) {
+    stored.replacedByHash = hashToken(replacedByToken);
+  }
+  await stored.save();
+};
+
+// Invalidate every outstanding session, access and refresh token for a user
+const revokeAllTokens = async (user, reason = 'logout-all') => {
+  user.tokenVersion = (user.tokenVersion || 0) + 1;
+  await user.save();
+  await RefreshToken.updateMany(
+    { user: user._id, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  await Session.updateMany(
+    { user: user._id, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+module.exports = {
+  hashToken,
+  generateAccessToken,
+  issueRefreshToken,
+  issueTokenPair,
+  startSession,
+  touchSession,
+  revokeSession,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  findRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllTokens
+};
@@ -0,0 +1,121 @@
+const Tournament = require('../models/Tournament');
+const Round = require('../models/Round');
+const { recordAudit } = require('./audit');
+const { tournamentWindow } = require('./tournamentTimes');
+
+// Tournament statuses follow the clock: upcoming until the start time,
+// ongoing until the last day is over, then completed. The job only moves
+// statuses forward and never touches cancelled tournaments. Paired
+// tournaments stay ongoing until an arbiter completes them, which also
+// stores their final standings. Once listUntil has passed, the tournament is
+// marked as delisted (the public listing already hides it).
+
+const DEFAULT_INTERVAL_MINUTES = 5;
+
+const intervalMinutes = () => parseInt(process.env.TOURNAMENT_STATUS_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+
+const LIFECYCLE = ['upcoming', 'ongoing', 'completed'];
+
+// Status a tournament should have at `now` by its dates
+const statusAt = (tournament, now = new Date()) => {
+  const { startsAt, lastDayEndsAt } = tournamentWindow(tournament);
+  if (now >= lastDayEndsAt) return 'completed';
+  if (now >= startsAt) return 'ongoing';
+  return 'upcoming';
+};
+
+const changeStatus = async (tournament, status) => {
+  // Conditional on the old status so a cancellation made meanwhile wins
+  const result = await Tournament.updateOne({ _id: tournament._id, status: tournament.status }, { status });
+  if (result.modifiedCount === 0) return false;
+
+  await recordAudit(null, {
+    action: 'status-change',
+    entityType: 'Tournament',
+    entity: tournament,
+    before: { status: tournament.status },
+    after: { status }
+  });
+  return true;
+};
+
+// Bring every tournament's status and listing up to date.
+// Returns { started, completed, delisted, failed }.
+const updateTournamentStatuses = async ({ now = new Date() } = {}) => {
+  const report = { started: 0, completed: 0, delisted: 0, failed: [] };
+
+  // A start time early on the first day can fall before the stored date in UTC
+  const horizon = new Date(now.getTime() + 24 * 60 * 60 * 1000);
+  const due = await Tournament.find({ status: { $in: ['upcoming', 'ongoing'] }, date: { $lte: horizon } });
+
+  for (const tournament of due) {
+    try {
+      let status = statusAt(tournament, now);
+
+      if (status === 'completed' && await Round.exists({ tournament: tournament._id })) {
+        status = 'ongoing';
+      }
+
+      if (LIFECYCLE.indexOf(status) <= LIFECYCLE.indexOf(tournament.status)) continue;
+
+      if (await changeStatus(tournament, status)) {
+        report[status === 'ongoing' ? 'started' : 'completed']++;
+      }
+    } catch (error) {
+      console.error(`Failed to update status of tournament ${tournament._id}:`, error);
+      report.failed.push(tournament._id);
+    }
+  }
+
+  const expired = await Tournament.find({ delistedAt: null, listUntil: { $lt: now } });
+
+  for (const tournament of expired) {
+    try {
+      const result = await Tournament.updateOne(
+        { _id: tournament._id, delistedAt: null, listUntil: { $lt: now } },
+        { delistedAt: now }
+      );
+      if (result.modifiedCount === 0) continue;
+
+      await recordAudit(null, {
+        action: 'delist',
+        entityType: 'Tournament',
+        entity: tournament,
+        before: { delistedAt: null },
+        after: { delistedAt: now }
+      });
+      report.delisted++;
+    } catch (error) {
+      console.error(`Failed to delist tournament ${tournament._id}:`, error);
+      report.failed.push(tournament._id);
+    }
+  }
+
+  return report;
+};
+
+// Run the update now and then every TOURNAMENT_STATUS_INTERVAL_MINUTES
+const startTournamentStatusJob = () => {
+  let running = false;
+
+  const run = async () => {
+    // A slow run must not overlap the next one
+    if (running) return;
+    running = true;
+    try {
+      const report = await updateTournamentStatuses();
+      if (report.started + report.completed + report.delisted > 0 || report.failed.length > 0) {
+        console.log('Tournament statuses updated:', report);
+      }
+    } catch (error) {
+      console.error('Tournament status job error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  return setInterval(run, intervalMinutes() * 60 * 1000).unref();
+};
+
+module.exports = { statusAt, updateTournamentStatuses, startTournamentStatusJob };
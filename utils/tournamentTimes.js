@@ -0,0 +1,105 @@
+// When a tournament starts and ends. `date` (and `endDate` for multi-day
+// events) holds the day and `time` the start as free text ("10:00 AM",
+// "14:30", "9 AM - 5 PM"), read as wall-clock time in ACADEMY_TIMEZONE.
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+// Length of a one-day timed event when `time` gives no end
+const DEFAULT_DURATION_HOURS = 4;
+
+const timezone = () => process.env.ACADEMY_TIMEZONE || DEFAULT_TIMEZONE;
+
+const TIME_PATTERN = /(\d{1,2})(?:[:.](\d{2}))?\s*([ap])\.?\s*m\b\.?|(\d{1,2})[:.](\d{2})/gi;
+
+// Start and optional end as { hours, minutes } from a free-text time
+const parseTimes = (text) => [...String(text || '').matchAll(TIME_PATTERN)]
+  .map(([, hours12, minutes12, meridiem, hours24, minutes24]) => {
+    if (hours24 !== undefined) {
+      return { hours: parseInt(hours24), minutes: parseInt(minutes24) };
+    }
+    const hours = parseInt(hours12) % 12 + (meridiem.toLowerCase() === 'p' ? 12 : 0);
+    return { hours, minutes: parseInt(minutes12 || '0') };
+  })
+  .filter(({ hours, minutes }) => hours < 24 && minutes < 60)
+  .slice(0, 2);
+
+// Calendar day of a stored date. Dates saved from a plain YYYY-MM-DD are
+// UTC midnight; anything else is read in the academy's timezone.
+const calendarDay = (date) => {
+  const value = new Date(date);
+  if (value.getUTCHours() === 0 && value.getUTCMinutes() === 0) {
+    return { year: value.getUTCFullYear(), month: value.getUTCMonth() + 1, day: value.getUTCDate() };
+  }
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone(),
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric'
+  }).formatToParts(value).map(part => [part.type, part.value]));
+  return { year: parseInt(parts.year), month: parseInt(parts.month), day: parseInt(parts.day) };
+};
+
+const nextDay = ({ year, month, day }) => {
+  const date = new Date(Date.UTC(year, month - 1, day + 1));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+
+// Offset of `zone` from UTC at `instant`, in milliseconds
+const zoneOffset = (instant, zone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: zone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(instant).map(part => [part.type, part.value]));
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - instant.getTime();
+};
+
+// The UTC instant of a wall-clock time on `day` in the academy's timezone
+const zonedTime = ({ year, month, day }, { hours, minutes } = { hours: 0, minutes: 0 }) => {
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+  const guess = new Date(wallClock - zoneOffset(new Date(wallClock), timezone()));
+  // Second pass in case the first guess fell on the other side of a DST change
+  return new Date(wallClock - zoneOffset(guess, timezone()));
+};
+
+// { allDay, firstDay, lastDay, startsAt, endsAt, lastDayEndsAt } for a
+// tournament. Without a readable time the event covers whole days; a timed
+// event ends at the end time on its last day, or DEFAULT_DURATION_HOURS
+// after the start for a one-day event without one. `lastDayEndsAt` is
+// midnight after the last day, when the tournament is over in any case.
+const tournamentWindow = (tournament) => {
+  const firstDay = calendarDay(tournament.date);
+  const lastDay = tournament.endDate && new Date(tournament.endDate) > new Date(tournament.date)
+    ? calendarDay(tournament.endDate)
+    : firstDay;
+  const lastDayEndsAt = zonedTime(nextDay(lastDay));
+  const [start, end] = parseTimes(tournament.time);
+
+  if (!start) {
+    return { allDay: true, firstDay, lastDay, startsAt: zonedTime(firstDay), endsAt: lastDayEndsAt, lastDayEndsAt };
+  }
+
+  const startsAt = zonedTime(firstDay, start);
+  let endsAt = end ? zonedTime(lastDay, end) : null;
+  if (!endsAt || endsAt <= startsAt) {
+    const oneDay = ['year', 'month', 'day'].every(part => lastDay[part] === firstDay[part]);
+    endsAt = oneDay
+      ? new Date(startsAt.getTime() + DEFAULT_DURATION_HOURS * 60 * 60 * 1000)
+      : lastDayEndsAt;
+  }
+
+  return { allDay: false, firstDay, lastDay, startsAt, endsAt, lastDayEndsAt };
+};
+
+module.exports = {
+  timezone,
+  parseTimes,
+  nextDay,
+  tournamentWindow
+};
@@ -0,0 +1,143 @@
+const { rankPlayers } = require('./swissPairing');
+const { FORMAT_LABELS } = require('../config/pairing');
+
+// FIDE Tournament Report File, 2016 edition (TRF16): the fixed-column text
+// format rating officers and pairing programs such as Swiss Manager import.
+// Each line starts with a three-digit code; player lines (001) carry the
+// player's details and one 10-column block per round from column 92.
+
+// Result codes per game result, for [white, black]
+const GAME_CODES = {
+  '1-0': ['1', '0'],
+  '0-1': ['0', '1'],
+  '1/2-1/2': ['=', '='],
+  '+-': ['+', '-'],
+  '-+': ['-', '+'],
+  '--': ['-', '-']
+};
+
+// Unplayed rounds: U is the pairing-allocated bye, H a half-point bye and
+// Z a zero-point bye (also used for rounds a player was absent from)
+const BYE_CODES = { full: 'U', half: 'H', zero: 'Z' };
+
+const idOf = (value) => value.toString();
+
+// Text with `value` written into 1-based columns start..start+width-1
+const place = (line, start, width, value, align = 'left') => {
+  const text = String(value ?? '').slice(0, width);
+  const field = align === 'right' ? text.padStart(width) : text.padEnd(width);
+  return line.padEnd(start - 1).slice(0, start - 1) + field + line.slice(start - 1 + width);
+};
+
+const formatDate = (date, short = false) => {
+  const text = new Date(date).toISOString().slice(0, 10).replace(/-/g, '/');
+  return short ? text.slice(2) : text;
+};
+
+const formatPoints = (points) => points.toFixed(1);
+
+// Round block for one player: opponent's starting rank, colour, result
+const roundEntry = (round, playerId, startingRanks) => {
+  const pairing = round.pairings.find(item => idOf(item.white) === playerId || idOf(item.black) === playerId);
+
+  if (pairing) {
+    const white = idOf(pairing.white) === playerId;
+    const opponent = white ? pairing.black : pairing.white;
+    const codes = GAME_CODES[pairing.result];
+    return {
+      opponent: startingRanks.get(idOf(opponent)) || 0,
+      colour: white ? 'w' : 'b',
+      result: codes ? codes[white ? 0 : 1] : ' '
+    };
+  }
+
+  const bye = round.byes.find(item => idOf(item.player) === playerId);
+  return { opponent: 0, colour: '-', result: bye ? BYE_CODES[bye.type] : 'Z' };
+};
+
+// TRF16 report for a paired tournament. `standings` are the rows from
+// computeStandings (player { id, name, rating, fideId }, points, rank) and
+// `rounds` the rounds in order. `options` may give a `federation` and
+// `chiefArbiter`. Returns { text, warnings } where the warnings list what
+// should be fixed before the report is submitted for rating.
+const buildTrf = ({ tournament, standings, rounds, options = {} }) => {
+  const warnings = [];
+  const players = rankPlayers(standings.map(row => row.player));
+  const startingRanks = new Map(players.map(player => [player.id, player.pairingNumber]));
+  const rows = new Map(standings.map(row => [idOf(row.player.id), row]));
+
+  players
+    .filter(player => !player.fideId)
+    .forEach(player => warnings.push(`${player.name} has no FIDE ID`));
+
+  rounds.forEach(round => {
+    const pending = round.pairings.filter(pairing => !pairing.result).map(pairing => pairing.board);
+    if (pending.length > 0) {
+      warnings.push(`Round ${round.number} is incomplete: no result on board${pending.length > 1 ? 's' : ''} ${pending.join(', ')}`);
+    }
+  });
+
+  if (tournament.totalRounds && rounds.length < tournament.totalRounds) {
+    warnings.push(`Only ${rounds.length} of ${tournament.totalRounds} rounds have been paired`);
+  }
+
+  if (!options.chiefArbiter) {
+    warnings.push('No chief arbiter given (line 102)');
+  }
+
+  const lines = [
+    place('012', 5, 100, tournament.name),
+    place('022', 5, 100, tournament.location)
+  ];
+
+  if (options.federation) lines.push(place('032', 5, 3, options.federation));
+
+  lines.push(place('042', 5, 10, formatDate(tournament.date)));
+  if (rounds.length > 0) {
+    lines.push(place('052', 5, 10, formatDate(rounds[rounds.length - 1].createdAt)));
+  }
+
+  lines.push(
+    place('062', 5, 4, players.length),
+    place('072', 5, 4, players.filter(player => player.fideId && player.rating).length),
+    place('092', 5, 100, FORMAT_LABELS[tournament.format] || tournament.format)
+  );
+
+  if (options.chiefArbiter) lines.push(place('102', 5, 100, options.chiefArbiter));
+  if (tournament.timeControl) lines.push(place('122', 5, 100, tournament.timeControl));
+
+  // Round dates: the day each round was paired
+  let roundDates = '132';
+  rounds.forEach((round, index) => {
+    roundDates = place(roundDates, 92 + index * 10, 8, formatDate(round.createdAt, true));
+  });
+  lines.push(roundDates);
+
+  players.forEach(player => {
+    const row = rows.get(player.id);
+    let line = '001';
+    line = place(line, 5, 4, player.pairingNumber, 'right');
+    line = place(line, 15, 33, player.name);
+    line = place(line, 49, 4, player.rating || '', 'right');
+    line = place(line, 58, 11, player.fideId || '', 'right');
+    line = place(line, 81, 4, formatPoints(row.points), 'right');
+    line = place(line, 86, 4, row.rank, 'right');
+
+    rounds.forEach((round, index) => {
+      const entry = roundEntry(round, player.id, startingRanks);
+      const start = 92 + index * 10;
+      line = place(line, start, 4, String(entry.opponent).padStart(4, '0'), 'right');
+      line = place(line, start + 5, 1, entry.colour);
+      line = place(line, start + 7, 1, entry.result);
+    });
+
+    lines.push(line.trimEnd());
+  });
+
+  return {
+    text: `${lines.map(line => line.trimEnd()).join('\n')}\n`,
+    warnings
+  };
+};
+
+module.exports = { buildTrf };